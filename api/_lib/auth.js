@@ -0,0 +1,38 @@
+import { getAuth } from 'firebase-admin/auth';
+import { getAdminApp, getAdminDb, adminProfileDoc } from './firebaseAdmin.js';
+import { HttpError } from './httpError.js';
+import { ROLES, hasRole } from '../../src/lib/roles.js';
+
+/**
+ * Verifies the Firebase ID token in the `Authorization: Bearer` header.
+ * Throws a 401 HttpError when it is missing or invalid.
+ */
+export async function verifyIdToken(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) {
+    throw new HttpError(401, 'Sign in as an admin to do this');
+  }
+  try {
+    return await getAuth(getAdminApp()).verifyIdToken(match[1]);
+  } catch {
+    throw new HttpError(401, 'Your session has expired, please sign in again');
+  }
+}
+
+/**
+ * Verifies the caller is an enabled admin with at least `role` and
+ * returns { uid, email, role }. Throws 401 without a valid token and
+ * 403 without a sufficient admin profile.
+ */
+export async function verifyAdmin(req, { role = ROLES.APPROVER } = {}) {
+  const decoded = await verifyIdToken(req);
+  const snapshot = await adminProfileDoc(getAdminDb(), decoded.uid).get();
+  const profile = snapshot.data();
+  if (!profile || profile.disabled) {
+    throw new HttpError(403, 'This account does not have admin access');
+  }
+  if (!hasRole(profile.role, role)) {
+    throw new HttpError(403, 'Your admin role does not allow this');
+  }
+  return { uid: decoded.uid, email: decoded.email, role: profile.role };
+}
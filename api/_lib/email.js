@@ -0,0 +1,22 @@
+import { resolveTemplate } from './emailTemplates.js';
+import { renderLocalTemplate } from './localTemplates.js';
+import { getEmailTransport } from './transports/index.js';
+
+/**
+ * Sends a transactional email through the configured transport.
+ * Throws if the template is unknown, params are missing or the
+ * transport fails.
+ */
+export async function sendTemplateEmail(to, template, data) {
+  const { templateId } = resolveTemplate(template, data);
+  const transport = getEmailTransport();
+
+  await transport.send({
+    to,
+    toName: data.name,
+    template,
+    templateId,
+    params: data,
+    ...(transport.rendersLocally && renderLocalTemplate(template, data)),
+  });
+}
@@ -0,0 +1,61 @@
+import { HttpError } from './httpError.js';
+
+// Logical template name -> provider template ID and the params it uses.
+// Override or extend per deployment with the EMAIL_TEMPLATES env var, e.g.
+//   EMAIL_TEMPLATES='{"booking_approved":{"templateId":12},
+//     "booking_reminder":{"templateId":7,"params":["name","checkIn"]}}'
+const DEFAULT_TEMPLATES = {
+  booking_submitted: { templateId: 1, params: ['name', 'applicationId', 'checkIn'] },
+  booking_approved: { templateId: 2, params: ['name', 'applicationId', 'checkIn', 'room'] },
+  booking_rejected: { templateId: 3, params: ['name', 'applicationId', 'checkIn', 'reason'] },
+  booking_cancelled: { templateId: 4, params: ['name', 'applicationId', 'checkIn'] },
+  admin_invite: { templateId: 5, params: ['email', 'role', 'link'] },
+  booking_rescheduled: { templateId: 6, params: ['name', 'applicationId', 'checkIn', 'checkOut'] },
+  booking_modified: { templateId: 7, params: ['name', 'applicationId', 'checkIn', 'checkOut'] },
+  feedback_request: { templateId: 8, params: ['name', 'applicationId', 'link'] },
+};
+
+let registry;
+
+/**
+ * The template registry: defaults merged with EMAIL_TEMPLATES.
+ * Parsed once per instance.
+ */
+export function getTemplateRegistry() {
+  if (registry) return registry;
+
+  let overrides = {};
+  if (process.env.EMAIL_TEMPLATES) {
+    try {
+      overrides = JSON.parse(process.env.EMAIL_TEMPLATES);
+    } catch (error) {
+      throw new Error(`EMAIL_TEMPLATES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  registry = {};
+  for (const name of new Set([...Object.keys(DEFAULT_TEMPLATES), ...Object.keys(overrides)])) {
+    const template = { params: [], ...DEFAULT_TEMPLATES[name], ...overrides[name] };
+    if (!Number.isInteger(Number(template.templateId))) {
+      throw new Error(`Email template '${name}' needs a numeric templateId`);
+    }
+    registry[name] = { templateId: Number(template.templateId), params: template.params };
+  }
+  return registry;
+}
+
+/**
+ * Looks up a template and checks `data` has every param it needs.
+ * Throws a 400 HttpError for unknown templates or missing params.
+ */
+export function resolveTemplate(name, data = {}) {
+  const template = getTemplateRegistry()[name];
+  if (!template) {
+    throw new HttpError(400, `Unknown email template '${name}'`);
+  }
+  const missing = template.params.filter(param => data[param] === undefined || data[param] === null || data[param] === '');
+  if (missing.length) {
+    throw new HttpError(400, `Email template '${name}' is missing params: ${missing.join(', ')}`);
+  }
+  return template;
+}
@@ -0,0 +1,61 @@
+import { bookingsCollection } from './firebaseAdmin.js';
+import { generateToken, hashToken } from './tokens.js';
+import { queueNotifications } from './notifications.js';
+import { createNotifications } from '../../src/lib/notifications.js';
+import { BOOKING_STATES } from '../../src/lib/bookingLifecycle.js';
+import { FEEDBACK_REQUEST_WINDOW_DAYS } from '../../src/lib/feedback.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A booking update plus up to two notifications (email, SMS), each with
+// its secret link beside it
+const BATCH_SIZE = 100;
+
+/**
+ * The guest's link to the Feedback page, e.g.
+ * https://guesthouse.example.edu/?feedback=GH-1A2B3C&token=...
+ * PUBLIC_SITE_URL overrides the production domain Vercel provides.
+ */
+export function feedbackLink(applicationId, token) {
+  const site = process.env.PUBLIC_SITE_URL ||
+    (process.env.VERCEL_PROJECT_PRODUCTION_URL && `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`);
+  if (!site) {
+    throw new Error('Set PUBLIC_SITE_URL so feedback emails can link to the site');
+  }
+  const url = new URL(site);
+  url.searchParams.set('feedback', applicationId);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+/**
+ * Emails a one-time feedback link to every guest who checked out in the
+ * last FEEDBACK_REQUEST_WINDOW_DAYS and has not been asked yet. Only the
+ * hash of each link's token is kept on the booking. Returns the number of
+ * guests asked.
+ */
+export async function sendFeedbackRequests(db, now = new Date()) {
+  const since = new Date(now.getTime() - FEEDBACK_REQUEST_WINDOW_DAYS * DAY_MS).toISOString();
+  const snapshot = await bookingsCollection(db)
+    .where('status', '==', BOOKING_STATES.CHECKED_OUT)
+    .where('checkedOutAt', '>=', since)
+    .get();
+  const pending = snapshot.docs.filter(doc => !doc.data().feedbackRequestedAt);
+
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const doc of pending.slice(i, i + BATCH_SIZE)) {
+      const booking = doc.data();
+      const token = generateToken();
+      batch.update(doc.ref, { feedbackTokenHash: hashToken(token), feedbackRequestedAt: now.toISOString() });
+      const notifications = createNotifications({
+        bookingId: doc.id,
+        booking,
+        template: 'feedback_request',
+        params: { name: booking.name, applicationId: booking.applicationId },
+      });
+      queueNotifications(db, batch, notifications, { link: feedbackLink(booking.applicationId, token) });
+    }
+    await batch.commit();
+  }
+  return pending.length;
+}
@@ -0,0 +1,68 @@
+import { initializeApp, getApps, cert } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+// Must match the appId used by the client for its Firestore paths
+export const APP_ID = process.env.GUESTHOUSE_APP_ID || 'guesthouse-portal';
+
+/**
+ * Returns the Firebase Admin app, initializing it on first use.
+ * FIREBASE_SERVICE_ACCOUNT holds the service account JSON in Vercel.
+ * Without it we fall back to default credentials. Against the emulator
+ * FIRESTORE_EMULATOR_HOST is set and the Admin SDK picks it up;
+ * `npm run check:bookings` runs /api/bookings that way.
+ */
+export function getAdminApp() {
+  if (getApps().length) return getApps()[0];
+
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  return initializeApp(
+    serviceAccount
+      ? { credential: cert(JSON.parse(serviceAccount)) }
+      : { projectId: process.env.FIREBASE_PROJECT_ID || 'demo-guesthouse' }
+  );
+}
+
+export function getAdminDb() {
+  return getFirestore(getAdminApp());
+}
+
+export function bookingsCollection(db) {
+  return db.collection(`artifacts/${APP_ID}/public/data/bookings`);
+}
+
+export function statusLookupDoc(db, applicationId) {
+  return db.doc(`artifacts/${APP_ID}/public/data/statusLookup/${applicationId}`);
+}
+
+export function notificationsCollection(db) {
+  return db.collection(`artifacts/${APP_ID}/public/data/notifications`);
+}
+
+export function adminProfileDoc(db, uid) {
+  return db.doc(`artifacts/${APP_ID}/admins/${uid}`);
+}
+
+export function auditLogCollection(db) {
+  return db.collection(`artifacts/${APP_ID}/public/data/auditLog`);
+}
+
+export function tariffDoc(db) {
+  return db.doc(`artifacts/${APP_ID}/public/data/settings/tariff`);
+}
+
+export function invoicesCollection(db) {
+  return db.collection(`artifacts/${APP_ID}/public/data/invoices`);
+}
+
+export function mealsCollection(db) {
+  return db.collection(`artifacts/${APP_ID}/public/data/meals`);
+}
+
+// Last invoice number issued, per financial year
+export function invoiceCounterDoc(db) {
+  return db.doc(`artifacts/${APP_ID}/counters/invoices`);
+}
+
+export function feedbackCollection(db) {
+  return db.collection(`artifacts/${APP_ID}/public/data/feedback`);
+}
@@ -0,0 +1,32 @@
+import { bookingsCollection } from './firebaseAdmin.js';
+import { tokenMatchesHash } from './tokens.js';
+import { enforceRateLimit, clientIp } from './rateLimit.js';
+import { HttpError } from './httpError.js';
+
+const HOUR = 60 * 60 * 1000;
+const ATTEMPT_LIMIT = { limit: 20, windowMs: HOUR };
+
+/**
+ * Counts one token attempt against the caller's IP. Each attempt is a
+ * guess at a token, so guessing has to stay slow. Endpoints taking the
+ * same token share a `scope`, and with it one budget.
+ */
+export function limitTokenAttempts(db, req, scope) {
+  return enforceRateLimit(db, `${scope}-token:${clientIp(req)}`, ATTEMPT_LIMIT);
+}
+
+/**
+ * The booking behind an Application ID whose `hashField` matches `token`.
+ * Unknown IDs and wrong tokens get the same 403 `invalidMessage`, so
+ * Application IDs can't be probed. Reads through `tx` when given, so the
+ * check is part of the transaction.
+ */
+export async function findBookingByToken(db, { applicationId, token, hashField, invalidMessage }, tx) {
+  const lookup = bookingsCollection(db).where('applicationId', '==', applicationId).limit(1);
+  const snapshot = await (tx ? tx.get(lookup) : lookup.get());
+  const bookingDoc = snapshot.docs[0];
+  if (!bookingDoc || !tokenMatchesHash(token, bookingDoc.data()[hashField])) {
+    throw new HttpError(403, invalidMessage);
+  }
+  return { bookingDoc, data: bookingDoc.data() };
+}
@@ -0,0 +1,10 @@
+/**
+ * An error that maps onto an HTTP response. Handlers catch it and reply
+ * with `status` and `message`; anything else is treated as a 500.
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
@@ -0,0 +1,89 @@
+// Email bodies for transports that render locally (SMTP, file outbox).
+// Brevo renders its own stored templates, so these only need to be close
+// enough to check content and params in development and CI.
+// `{{param}}` is replaced with the HTML-escaped value from params.
+
+const LOCAL_TEMPLATES = {
+  booking_submitted: {
+    subject: 'Application {{applicationId}} received',
+    body: `<p>Dear {{name}},</p>
+<p>We have received your guest house application <strong>{{applicationId}}</strong> for check-in on {{checkIn}}.</p>
+<p>Your cancellation token is <strong>{{cancelToken}}</strong>. Keep it safe; you will need it to change or cancel your booking.</p>`,
+  },
+  booking_approved: {
+    subject: 'Booking {{applicationId}} approved',
+    body: `<p>Dear {{name}},</p>
+<p>Your booking <strong>{{applicationId}}</strong> has been approved. Check-in: {{checkIn}}, room {{room}}.</p>
+<p>{{reason}}</p>`,
+  },
+  booking_rejected: {
+    subject: 'Booking {{applicationId}} not approved',
+    body: `<p>Dear {{name}},</p>
+<p>We are sorry, your booking <strong>{{applicationId}}</strong> for {{checkIn}} could not be approved.</p>
+<p>Reason: {{reason}}</p>`,
+  },
+  booking_cancelled: {
+    subject: 'Booking {{applicationId}} cancelled',
+    body: `<p>Dear {{name}},</p>
+<p>Your booking <strong>{{applicationId}}</strong> for {{checkIn}} has been cancelled.</p>
+<p>{{reason}}</p>`,
+  },
+  booking_rescheduled: {
+    subject: 'Booking {{applicationId}} dates changed',
+    body: `<p>Dear {{name}},</p>
+<p>The dates of your booking <strong>{{applicationId}}</strong> have been changed by the guest house. Your stay is now {{checkIn}} to {{checkOut}}.</p>
+<p>If these dates do not suit you, please contact the reception.</p>`,
+  },
+  booking_modified: {
+    subject: 'Changes to booking {{applicationId}} received',
+    body: `<p>Dear {{name}},</p>
+<p>We have received your changes to booking <strong>{{applicationId}}</strong>. Your stay is now requested for {{checkIn}} to {{checkOut}}.</p>
+<p>The booking is pending review again; we will email you once it has been approved.</p>`,
+  },
+  feedback_request: {
+    subject: 'How was your stay?',
+    body: `<p>Dear {{name}},</p>
+<p>Thank you for staying with us (booking <strong>{{applicationId}}</strong>). We would be grateful if you could rate your room, the cleanliness, food and our staff.</p>
+<p><a href="{{link}}">Share your feedback</a>. The link works once and only for your booking.</p>`,
+  },
+  admin_invite: {
+    subject: 'You have been invited to the Guest House admin portal',
+    body: `<p>Hello,</p>
+<p>{{email}} has been given <strong>{{role}}</strong> access to the Guest House admin portal.</p>
+<p><a href="{{link}}">Set your password</a> to sign in.</p>`,
+  },
+};
+
+// Used for templates added through EMAIL_TEMPLATES without a local body
+const FALLBACK_TEMPLATE = {
+  subject: 'Guest House notification ({{template}})',
+  body: '<pre>{{paramsJson}}</pre>',
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function fill(text, params, escape) {
+  return text.replace(/\{\{(\w+)\}\}/g, (_, key) =>
+    params[key] === undefined || params[key] === null ? '' : escape(params[key])
+  );
+}
+
+/**
+ * Renders a template to { subject, html, text }.
+ */
+export function renderLocalTemplate(template, params) {
+  const source = LOCAL_TEMPLATES[template] || FALLBACK_TEMPLATE;
+  const values = { ...params, template, paramsJson: JSON.stringify(params, null, 2) };
+  const html = fill(source.body, values, escapeHtml);
+  return {
+    subject: fill(source.subject, values, String),
+    html,
+    text: fill(source.body.replace(/<[^>]+>/g, ''), values, String),
+  };
+}
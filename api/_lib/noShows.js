@@ -0,0 +1,51 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { bookingsCollection, statusLookupDoc, auditLogCollection } from './firebaseAdmin.js';
+import { todayInGuesthouseTz } from '../../src/lib/dates.js';
+import { createAuditEntry, ACTOR_TYPES } from '../../src/lib/audit.js';
+import { BOOKING_STATES, getTransition } from '../../src/lib/bookingLifecycle.js';
+
+const { APPROVED, NO_SHOW } = BOOKING_STATES;
+
+// Three writes per booking (booking, status mirror, audit entry) keep a
+// batch under Firestore's 500-write limit
+const BATCH_SIZE = 150;
+const NO_SHOW_REASON = 'Did not check in on the arrival date';
+const NO_SHOW_TRANSITION = getTransition(APPROVED, NO_SHOW, ACTOR_TYPES.SYSTEM);
+
+/**
+ * Marks approved bookings whose check-in date has passed without the
+ * guest checking in as No-show, which frees their rooms. Returns the
+ * number of bookings flagged.
+ */
+export async function flagNoShows(db, today = todayInGuesthouseTz()) {
+  const snapshot = await bookingsCollection(db)
+    .where('status', '==', APPROVED)
+    .where('checkIn', '<', today)
+    .get();
+
+  for (let i = 0; i < snapshot.size; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const doc of snapshot.docs.slice(i, i + BATCH_SIZE)) {
+      const booking = doc.data();
+      const auditRef = auditLogCollection(db).doc();
+      const update = { status: NO_SHOW, statusReason: NO_SHOW_REASON };
+      batch.update(doc.ref, {
+        ...update,
+        lastAuditId: auditRef.id,
+        ...(NO_SHOW_TRANSITION.releasesRooms && { roomIds: FieldValue.delete() }),
+      });
+      batch.update(statusLookupDoc(db, booking.applicationId), update);
+      batch.set(auditRef, createAuditEntry({
+        bookingId: doc.id,
+        booking,
+        fromStatus: booking.status,
+        toStatus: NO_SHOW,
+        actorType: ACTOR_TYPES.SYSTEM,
+        reason: NO_SHOW_REASON,
+        at: FieldValue.serverTimestamp(),
+      }));
+    }
+    await batch.commit();
+  }
+  return snapshot.size;
+}
@@ -0,0 +1,126 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { notificationsCollection } from './firebaseAdmin.js';
+import { sendTemplateEmail } from './email.js';
+import { sendTemplateSms } from './sms.js';
+import { HttpError } from './httpError.js';
+import { NOTIFICATION_STATUS } from '../../src/lib/notifications.js';
+
+const MAX_ATTEMPTS = 5;
+// Wait before attempt 2, 3, 4 and 5
+const BACKOFF_MINUTES = [1, 5, 15, 60];
+// A worker that dies mid-send gives the notification back after this long
+const LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Where a notification's secret params (the cancellation token, a feedback
+ * link) are kept until it has been sent. No rule matches the subcollection,
+ * so only the Admin SDK can read it.
+ */
+function secretParamsDoc(notificationRef) {
+  return notificationRef.collection('secrets').doc('params');
+}
+
+/**
+ * Adds outbox records to a write batch or transaction (`writer`), with
+ * `secretParams` stored beside each one instead of on it. Returns the new
+ * notification refs.
+ */
+export function queueNotifications(db, writer, notifications, secretParams) {
+  return notifications.map(notification => {
+    const ref = notificationsCollection(db).doc();
+    writer.create(ref, notification);
+    if (secretParams) writer.create(secretParamsDoc(ref), secretParams);
+    return ref;
+  });
+}
+
+/**
+ * Delivers one queued notification. The record is leased in a
+ * transaction first, so two workers never send the same message.
+ * `force` (an admin resend) starts a failed notification over.
+ * Returns true if a send was attempted.
+ */
+export async function deliverNotification(db, notificationId, { force = false } = {}) {
+  const ref = notificationsCollection(db).doc(notificationId);
+  const now = Date.now();
+
+  const notification = await db.runTransaction(async (tx) => {
+    const [snapshot, secrets] = await Promise.all([tx.get(ref), tx.get(secretParamsDoc(ref))]);
+    if (!snapshot.exists) {
+      throw new HttpError(404, 'Notification not found');
+    }
+    const data = snapshot.data();
+    const stale = data.status === NOTIFICATION_STATUS.SENDING && data.leaseUntil <= now;
+    const due = data.status === NOTIFICATION_STATUS.QUEUED && (force || data.nextAttemptAt <= now);
+    const retry = force && data.status === NOTIFICATION_STATUS.FAILED;
+    if (!(stale || due || retry)) return null;
+
+    const attempts = (retry ? 0 : data.attempts) + 1;
+    const secretParams = { ...data.secretParams, ...secrets.data() };
+    tx.update(ref, {
+      status: NOTIFICATION_STATUS.SENDING,
+      leaseUntil: now + LEASE_MS,
+      attempts,
+      // Records queued before the secrets moved out still carry them
+      ...(data.secretParams && { secretParams: FieldValue.delete() }),
+    });
+    if (data.secretParams) tx.set(secretParamsDoc(ref), secretParams);
+    return { ...data, attempts, secretParams };
+  });
+  if (!notification) return false;
+
+  try {
+    const send = notification.channel === 'sms' ? sendTemplateSms : sendTemplateEmail;
+    await send(notification.to, notification.template, {
+      ...notification.params,
+      ...notification.secretParams,
+    });
+    const batch = db.batch();
+    batch.update(ref, {
+      status: NOTIFICATION_STATUS.SENT,
+      sentAt: new Date().toISOString(),
+      lastError: null,
+    });
+    batch.delete(secretParamsDoc(ref));
+    await batch.commit();
+  } catch (error) {
+    // Bad templates or params will not fix themselves, so don't retry them
+    const permanent = error instanceof HttpError;
+    const failed = permanent || notification.attempts >= MAX_ATTEMPTS;
+    console.error(`Notification ${notificationId} attempt ${notification.attempts} failed:`, error);
+    // The secrets stay behind on failure, so a retry or an admin resend
+    // still has them
+    await ref.update({
+      status: failed ? NOTIFICATION_STATUS.FAILED : NOTIFICATION_STATUS.QUEUED,
+      lastError: error.message || String(error),
+      ...(!failed && { nextAttemptAt: Date.now() + BACKOFF_MINUTES[notification.attempts - 1] * 60 * 1000 }),
+    });
+  }
+  return true;
+}
+
+/**
+ * Delivers every notification that is due, plus any whose worker died.
+ * Returns the number of sends attempted.
+ */
+export async function processDueNotifications(db, { limit = 25 } = {}) {
+  const now = Date.now();
+  const [due, stale] = await Promise.all([
+    notificationsCollection(db)
+      .where('status', '==', NOTIFICATION_STATUS.QUEUED)
+      .where('nextAttemptAt', '<=', now)
+      .limit(limit)
+      .get(),
+    notificationsCollection(db)
+      .where('status', '==', NOTIFICATION_STATUS.SENDING)
+      .where('leaseUntil', '<=', now)
+      .limit(limit)
+      .get(),
+  ]);
+
+  let attempted = 0;
+  for (const doc of [...due.docs, ...stale.docs]) {
+    if (await deliverNotification(db, doc.id)) attempted++;
+  }
+  return attempted;
+}
@@ -0,0 +1,38 @@
+import { APP_ID } from './firebaseAdmin.js';
+import { hashToken } from './tokens.js';
+import { HttpError } from './httpError.js';
+
+/**
+ * Fixed-window rate limiter backed by Firestore, so the count is shared
+ * by every serverless instance. Keys are hashed before they are stored,
+ * so no IPs or email addresses end up in the database.
+ * Throws a 429 HttpError once `limit` hits have been made in the window.
+ */
+export async function enforceRateLimit(db, key, { limit, windowMs }) {
+  const ref = db.doc(`artifacts/${APP_ID}/rateLimits/${hashToken(key)}`);
+  const now = Date.now();
+
+  const allowed = await db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(ref);
+    const data = snapshot.data();
+    if (!data || now - data.windowStart >= windowMs) {
+      tx.set(ref, { windowStart: now, count: 1 });
+      return true;
+    }
+    if (data.count >= limit) return false;
+    tx.update(ref, { count: data.count + 1 });
+    return true;
+  });
+
+  if (!allowed) {
+    throw new HttpError(429, 'Too many requests, please try again later');
+  }
+}
+
+/**
+ * Best guess at the caller's IP behind Vercel's proxy.
+ */
+export function clientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  return (forwarded ? forwarded.split(',')[0] : req.socket?.remoteAddress || 'unknown').trim();
+}
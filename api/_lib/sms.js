@@ -0,0 +1,33 @@
+import { renderSmsTemplate } from './smsTemplates.js';
+import { getSmsProvider } from './smsProviders/index.js';
+import { HttpError } from './httpError.js';
+
+// Numbers entered without a country code are Indian mobile numbers
+const DEFAULT_COUNTRY_CODE = '91';
+
+/**
+ * Normalizes a phone number from the booking form to E.164.
+ * Throws a 400 HttpError when it cannot be a valid number.
+ */
+export function toE164(phone) {
+  const trimmed = String(phone || '').trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (trimmed.startsWith('+') && digits.length >= 8 && digits.length <= 15) {
+    return `+${digits}`;
+  }
+  const local = digits.replace(/^0/, '');
+  if (local.length === 10) {
+    return `+${DEFAULT_COUNTRY_CODE}${local}`;
+  }
+  throw new HttpError(400, `Cannot send SMS to '${phone}'`);
+}
+
+/**
+ * Sends a templated SMS through the configured provider.
+ * Throws if the template, params or number are invalid or the
+ * provider fails.
+ */
+export async function sendTemplateSms(to, template, data) {
+  const text = renderSmsTemplate(template, data);
+  await getSmsProvider().send({ to: toE164(to), text });
+}
@@ -0,0 +1,26 @@
+import { createStubSmsProvider } from './stub.js';
+import { createTwilioSmsProvider } from './twilio.js';
+
+// SMS_PROVIDER picks the backend; without one, messages only go to the stub
+const PROVIDERS = {
+  stub: createStubSmsProvider,
+  twilio: createTwilioSmsProvider,
+};
+
+let provider;
+
+/**
+ * Returns the configured SMS provider, creating it on first use.
+ * Every provider exposes `send({ to, text })`.
+ */
+export function getSmsProvider() {
+  if (provider) return provider;
+
+  const name = process.env.SMS_PROVIDER || 'stub';
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown SMS_PROVIDER '${name}', expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  provider = create();
+  return provider;
+}
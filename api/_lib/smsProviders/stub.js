@@ -0,0 +1,23 @@
+import { appendFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Sends nothing: logs each SMS and appends it as a JSON line to
+ * SMS_OUTBOX_DIR/sms.log, for local development and CI.
+ */
+export function createStubSmsProvider(env = process.env) {
+  const outboxDir = env.SMS_OUTBOX_DIR || '.outbox';
+
+  return {
+    name: 'stub',
+
+    async send({ to, text }) {
+      console.log(`[sms stub] to ${to}: ${text}`);
+      await mkdir(outboxDir, { recursive: true });
+      await appendFile(
+        path.join(outboxDir, 'sms.log'),
+        JSON.stringify({ to, text, sentAt: new Date().toISOString() }) + '\n'
+      );
+    },
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Sends SMS through Twilio's Messages REST API.
+ * Needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM.
+ */
+export function createTwilioSmsProvider(env = process.env) {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM } = env;
+
+  return {
+    name: 'twilio',
+
+    async send({ to, text }) {
+      if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM) {
+        throw new Error('Twilio is not configured');
+      }
+      const response = await fetch(
+        `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Authorization: `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+          },
+          body: new URLSearchParams({ To: to, From: TWILIO_FROM, Body: text }),
+        }
+      );
+      if (!response.ok) {
+        const res = await response.json().catch(() => ({}));
+        throw new Error(`Twilio error ${response.status}: ${res.message || response.statusText}`);
+      }
+    },
+  };
+}
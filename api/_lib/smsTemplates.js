@@ -0,0 +1,54 @@
+import { HttpError } from './httpError.js';
+
+// Short texts for each SMS; keep them within one 160-character segment.
+// `{{param}}` is replaced with the value from params.
+const SMS_TEMPLATES = {
+  booking_submitted: {
+    text: 'HPU Guest House: Application {{applicationId}} received for {{checkIn}}. Cancellation token: {{cancelToken}}',
+    params: ['applicationId', 'checkIn'],
+  },
+  booking_approved: {
+    text: 'HPU Guest House: Booking {{applicationId}} approved. Check-in {{checkIn}}, room {{room}}.',
+    params: ['applicationId', 'checkIn', 'room'],
+  },
+  booking_rejected: {
+    text: 'HPU Guest House: Sorry, booking {{applicationId}} for {{checkIn}} could not be approved. Details sent by email.',
+    params: ['applicationId', 'checkIn'],
+  },
+  booking_cancelled: {
+    text: 'HPU Guest House: Booking {{applicationId}} for {{checkIn}} has been cancelled.',
+    params: ['applicationId', 'checkIn'],
+  },
+  booking_rescheduled: {
+    text: 'HPU Guest House: Booking {{applicationId}} dates changed to {{checkIn}} - {{checkOut}}. Contact reception if this does not suit you.',
+    params: ['applicationId', 'checkIn', 'checkOut'],
+  },
+  booking_modified: {
+    text: 'HPU Guest House: Changes to booking {{applicationId}} received ({{checkIn}} - {{checkOut}}). It is pending review again.',
+    params: ['applicationId', 'checkIn', 'checkOut'],
+  },
+  feedback_request: {
+    // The link alone is about 90 characters
+    text: 'HPU Guest House: How was your stay? {{link}}',
+    params: ['link'],
+  },
+};
+
+/**
+ * Renders an SMS template to plain text.
+ * Throws a 400 HttpError for unknown templates or missing params.
+ */
+export function renderSmsTemplate(name, params = {}) {
+  const template = SMS_TEMPLATES[name];
+  if (!template) {
+    throw new HttpError(400, `Unknown SMS template '${name}'`);
+  }
+  const missing = template.params.filter(param => params[param] === undefined || params[param] === null || params[param] === '');
+  if (missing.length) {
+    throw new HttpError(400, `SMS template '${name}' is missing params: ${missing.join(', ')}`);
+  }
+  return template.text
+    .replace(/\{\{(\w+)\}\}/g, (_, key) => (params[key] === undefined || params[key] === null ? '' : String(params[key])))
+    // The token is dropped once the first message is sent, so resends go without it
+    .replace(/\s*Cancellation token: $/, '');
+}
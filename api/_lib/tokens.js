@@ -0,0 +1,26 @@
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+
+/**
+ * SHA-256 hex digest of a token. Bookings only ever store this hash,
+ * never the token itself.
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Constant-time check of a plain token against a stored hash.
+ */
+export function tokenMatchesHash(token, storedHash) {
+  if (!token || typeof storedHash !== 'string') return false;
+  const given = Buffer.from(hashToken(token), 'hex');
+  const stored = Buffer.from(storedHash, 'hex');
+  return given.length === stored.length && timingSafeEqual(given, stored);
+}
+
+/**
+ * Random secret handed to the guest, e.g. for cancelling their booking.
+ */
+export function generateToken() {
+  return randomBytes(16).toString('hex').toUpperCase();
+}
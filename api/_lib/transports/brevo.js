@@ -0,0 +1,25 @@
+import * as Brevo from '@getbrevo/brevo';
+
+/**
+ * Sends through Brevo using the template stored in the Brevo account.
+ */
+export function createBrevoTransport() {
+  return {
+    name: 'brevo',
+    rendersLocally: false,
+
+    async send({ to, toName, templateId, params }) {
+      let apiInstance = new Brevo.TransactionalEmailsApi();
+      let apiKey = apiInstance.authentications['apiKey'];
+
+      // Populated by Vercel from the project's Environment Variables
+      apiKey.apiKey = process.env.BREVO_API_KEY;
+
+      await apiInstance.sendTransacEmail({
+        to: [{ email: to, name: toName }],
+        templateId: templateId,
+        params: params, // e.g. { name, applicationId, checkIn } for the Brevo template
+      });
+    },
+  };
+}
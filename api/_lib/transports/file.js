@@ -0,0 +1,33 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Writes each locally rendered email to EMAIL_OUTBOX_DIR as an .eml file
+ * (openable in any mail client) next to a .json file with the template
+ * name and params, so tests can assert on them.
+ */
+export function createFileTransport(env = process.env) {
+  const outboxDir = env.EMAIL_OUTBOX_DIR || '.outbox';
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    rendersLocally: true,
+
+    async send({ to, toName, template, params, subject, html, text }) {
+      const { message } = await builder.sendMail({
+        from: env.EMAIL_FROM || 'University Guest House <guesthouse@localhost>',
+        to: toName ? { name: toName, address: to } : to,
+        subject,
+        html,
+        text,
+      });
+
+      await mkdir(outboxDir, { recursive: true });
+      const baseName = path.join(outboxDir, `${Date.now()}-${template}-${Math.random().toString(36).slice(2, 8)}`);
+      await writeFile(`${baseName}.eml`, message);
+      await writeFile(`${baseName}.json`, JSON.stringify({ to, template, params, subject }, null, 2));
+    },
+  };
+}
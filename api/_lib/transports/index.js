@@ -0,0 +1,29 @@
+import { createBrevoTransport } from './brevo.js';
+import { createSmtpTransport } from './smtp.js';
+import { createFileTransport } from './file.js';
+
+// EMAIL_TRANSPORT picks the backend; Brevo is the production default
+const TRANSPORTS = {
+  brevo: createBrevoTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+};
+
+let transport;
+
+/**
+ * Returns the configured email transport, creating it on first use.
+ * Every transport exposes `send(message)` and `rendersLocally`, which
+ * tells sendTemplateEmail whether to render the body itself.
+ */
+export function getEmailTransport() {
+  if (transport) return transport;
+
+  const name = process.env.EMAIL_TRANSPORT || 'brevo';
+  const create = TRANSPORTS[name];
+  if (!create) {
+    throw new Error(`Unknown EMAIL_TRANSPORT '${name}', expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  transport = create();
+  return transport;
+}
@@ -0,0 +1,29 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Sends locally rendered emails over SMTP. The defaults point at a local
+ * catcher such as MailHog or Mailpit (localhost:1025, no auth).
+ */
+export function createSmtpTransport(env = process.env) {
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST || 'localhost',
+    port: Number(env.SMTP_PORT || 1025),
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    rendersLocally: true,
+
+    async send({ to, toName, subject, html, text }) {
+      await transporter.sendMail({
+        from: env.EMAIL_FROM || 'University Guest House <guesthouse@localhost>',
+        to: toName ? { name: toName, address: to } : to,
+        subject,
+        html,
+        text,
+      });
+    },
+  };
+}
@@ -0,0 +1,164 @@
+import { getAuth } from 'firebase-admin/auth';
+import { getAdminApp, getAdminDb, adminProfileDoc, APP_ID } from './_lib/firebaseAdmin.js';
+import { verifyAdmin } from './_lib/auth.js';
+import { sendTemplateEmail } from './_lib/email.js';
+import { HttpError } from './_lib/httpError.js';
+import { ROLES, ROLE_LABELS } from '../src/lib/roles.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function assertRole(role) {
+  if (!Object.values(ROLES).includes(role)) {
+    throw new HttpError(400, `Role must be one of: ${Object.values(ROLES).join(', ')}`);
+  }
+}
+
+/**
+ * Every admin profile joined with its Firebase Auth record.
+ */
+async function listAdmins(db, auth) {
+  const snapshot = await db.collection(`artifacts/${APP_ID}/admins`).get();
+  const profiles = snapshot.docs.map(doc => ({ uid: doc.id, ...doc.data() }));
+  // getUsers takes at most 100 identifiers per call
+  const users = new Map();
+  for (let i = 0; i < profiles.length; i += 100) {
+    const { users: batch } = await auth.getUsers(profiles.slice(i, i + 100).map(({ uid }) => ({ uid })));
+    batch.forEach(user => users.set(user.uid, user));
+  }
+
+  return profiles.map(profile => {
+    const user = users.get(profile.uid);
+    return {
+      uid: profile.uid,
+      email: user?.email || profile.email,
+      role: profile.role,
+      disabled: Boolean(profile.disabled || user?.disabled),
+      invitedAt: profile.invitedAt || null,
+      lastSignInAt: user?.metadata.lastSignInTime || null,
+    };
+  });
+}
+
+/**
+ * Creates (or reuses) the Auth account, gives it a role and emails a
+ * link to set a password. Inviting someone who has never signed in
+ * again sends a fresh link, so a lost or undelivered invite can be
+ * re-sent. If the email can't be sent the invite is undone.
+ */
+async function inviteAdmin(db, auth, caller, { email, role }) {
+  const address = String(email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(address)) {
+    throw new HttpError(400, 'Enter a valid email address');
+  }
+  assertRole(role);
+
+  let user;
+  let created = false;
+  try {
+    user = await auth.getUserByEmail(address);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') throw error;
+    user = await auth.createUser({ email: address });
+    created = true;
+  }
+
+  const profileRef = adminProfileDoc(db, user.uid);
+  const profile = await profileRef.get();
+  const resend = profile.exists && !user.metadata.lastSignInTime && !profile.data().disabled;
+  if (profile.exists && !resend) {
+    throw new HttpError(409, `${address} is already an admin`);
+  }
+  await profileRef.set({
+    email: address,
+    role,
+    disabled: false,
+    invitedAt: new Date().toISOString(),
+    invitedBy: caller.email,
+  });
+
+  try {
+    const link = await auth.generatePasswordResetLink(address);
+    await sendTemplateEmail(address, 'admin_invite', { email: address, role: ROLE_LABELS[role], link });
+  } catch (error) {
+    // Undo the invite, so nobody holds a role without a way to sign in;
+    // a failed re-send keeps the earlier invite as it was
+    if (resend) {
+      await profileRef.set(profile.data());
+    } else {
+      await profileRef.delete();
+      if (created) await auth.deleteUser(user.uid);
+    }
+    throw error;
+  }
+  return user.uid;
+}
+
+/**
+ * Changes an admin's role and/or disables or re-enables the account.
+ */
+async function updateAdmin(db, auth, caller, { uid, role, disabled }) {
+  if (uid === caller.uid) {
+    throw new HttpError(400, 'You cannot change your own role or disable yourself');
+  }
+  const profileRef = adminProfileDoc(db, uid);
+  if (!(await profileRef.get()).exists) {
+    throw new HttpError(404, 'Admin not found');
+  }
+
+  const update = {};
+  if (role !== undefined) {
+    assertRole(role);
+    update.role = role;
+  }
+  if (disabled !== undefined) {
+    update.disabled = Boolean(disabled);
+    await auth.updateUser(uid, { disabled: update.disabled });
+    // Sign a disabled admin out everywhere straight away
+    if (update.disabled) await auth.revokeRefreshTokens(uid);
+  }
+  await profileRef.update(update);
+}
+
+export default async function handler(req, res) {
+  try {
+    // 1. Every admin management call needs a super admin
+    const caller = await verifyAdmin(req, { role: ROLES.SUPER_ADMIN });
+    const db = getAdminDb();
+    const auth = getAuth(getAdminApp());
+
+    // 2. Route by method
+    if (req.method === 'GET') {
+      return res.status(200).json({ admins: await listAdmins(db, auth) });
+    }
+    if (req.method === 'POST') {
+      const uid = await inviteAdmin(db, auth, caller, req.body || {});
+      return res.status(201).json({ uid, message: 'Invitation sent' });
+    }
+    if (req.method === 'PATCH') {
+      await updateAdmin(db, auth, caller, req.body || {});
+      return res.status(200).json({ message: 'Admin updated' });
+    }
+    if (req.method === 'DELETE') {
+      // Revokes admin access; the Auth account itself is kept
+      const { uid } = req.body || {};
+      if (!uid) {
+        throw new HttpError(400, 'uid is required');
+      }
+      if (uid === caller.uid) {
+        throw new HttpError(400, 'You cannot revoke your own access');
+      }
+      await adminProfileDoc(db, String(uid)).delete();
+      await auth.revokeRefreshTokens(String(uid)).catch(() => {});
+      return res.status(200).json({ message: 'Admin access revoked' });
+    }
+
+    res.status(405).json({ message: 'Only GET, POST, PATCH and DELETE requests allowed' });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error managing admins:', error);
+    res.status(500).json({ message: 'Error managing admins' });
+  }
+}
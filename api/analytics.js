@@ -0,0 +1,115 @@
+import { AggregateField } from 'firebase-admin/firestore';
+import { getAdminDb, bookingsCollection } from './_lib/firebaseAdmin.js';
+import { verifyAdmin } from './_lib/auth.js';
+import { HttpError } from './_lib/httpError.js';
+import { ROLES } from '../src/lib/roles.js';
+import { STAYED_STATUSES, addDays, getNightlyAvailability } from '../src/lib/availability.js';
+import { PURPOSES, MAX_NIGHTS } from '../src/lib/bookingValidation.js';
+import { ANALYTICS_MAX_DAYS, bucketOccupancy, chooseBucket, isValidRange, monthsInRange } from '../src/lib/analytics.js';
+import { daysBetween } from '../src/lib/calendar.js';
+import { APPROVED_STATES, BOOKING_STATES, BOOKING_STATUSES } from '../src/lib/bookingLifecycle.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const countOf = query => query.count().get().then(snapshot => snapshot.data().count);
+
+/**
+ * Averages of the per-booking metrics stored at submission and decision
+ * time; bookings without a metric are left out of its average.
+ */
+async function averages(query) {
+  const snapshot = await query.aggregate({
+    nights: AggregateField.average('nights'),
+    leadDays: AggregateField.average('leadDays'),
+    decisionHours: AggregateField.average('decisionHours'),
+  }).get();
+  return snapshot.data();
+}
+
+/**
+ * Room-nights sold per day, week or month. Only the fields the
+ * availability calculation needs are read.
+ */
+async function occupancy(bookings, from, to) {
+  const snapshot = await bookings
+    .where('status', 'in', STAYED_STATUSES)
+    .where('checkIn', '>=', addDays(from, -MAX_NIGHTS))
+    .where('checkIn', '<', to)
+    .select('status', 'checkIn', 'checkOut', 'guestCount', 'roomIds')
+    .get();
+  const occupying = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(booking => booking.checkOut > from);
+
+  const nights = getNightlyAvailability({ bookings: occupying, from, to, statuses: STAYED_STATUSES });
+  const booked = nights.reduce((sum, night) => sum + Math.min(night.bookedRooms, night.totalRooms), 0);
+  const capacity = nights.reduce((sum, night) => sum + night.totalRooms, 0);
+  const bucket = chooseBucket(nights.length);
+  return {
+    bucket,
+    rate: capacity ? booked / capacity : 0,
+    points: bucketOccupancy(nights, bucket),
+  };
+}
+
+export default async function handler(req, res) {
+  // 1. Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Only GET requests allowed' });
+  }
+
+  try {
+    // 2. Any admin may view the figures
+    await verifyAdmin(req, { role: ROLES.VIEWER });
+
+    const { from, to } = req.query;
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || !isValidRange(from, to)) {
+      throw new HttpError(400, `Provide from/to dates (YYYY-MM-DD), to after from and at most ${ANALYTICS_MAX_DAYS} days apart`);
+    }
+
+    // 3. Bookings are counted by check-in date. The counts and averages
+    //    are aggregation queries; only occupancy reads bookings, the stays
+    //    overlapping the range and just the fields it needs
+    const bookings = bookingsCollection(getAdminDb());
+    const checkingIn = (start, end) => bookings.where('checkIn', '>=', start).where('checkIn', '<', end);
+    const inRange = checkingIn(from, to);
+    const months = monthsInRange(from, to);
+
+    const [total, stay, statusCounts, purposeCounts, monthCounts, occupancySeries] = await Promise.all([
+      countOf(inRange),
+      averages(inRange),
+      Promise.all(BOOKING_STATUSES.map(status => countOf(inRange.where('status', '==', status)))),
+      Promise.all(Object.keys(PURPOSES).map(purpose => countOf(inRange.where('purpose', '==', purpose)))),
+      Promise.all(months.map(month => countOf(checkingIn(month.from, month.to)))),
+      occupancy(bookings, from, to),
+    ]);
+
+    // 4. Derive the rates from the counts
+    const byStatus = Object.fromEntries(BOOKING_STATUSES.map((status, i) => [status, statusCounts[i]]));
+    const approved = APPROVED_STATES.reduce((sum, status) => sum + byStatus[status], 0);
+    const rejected = byStatus[BOOKING_STATES.REJECTED];
+    const decided = approved + rejected;
+
+    res.status(200).json({
+      from,
+      to,
+      nights: daysBetween(from, to),
+      total,
+      byStatus,
+      byPurpose: Object.entries(PURPOSES).map(([purpose, label], i) => ({ purpose, label, count: purposeCounts[i] })),
+      perMonth: months.map(({ month }, i) => ({ month, count: monthCounts[i] })),
+      averageNights: stay.nights,
+      averageLeadDays: stay.leadDays,
+      averageDecisionHours: stay.decisionHours,
+      rejectionRate: decided ? rejected / decided : null,
+      occupancy: occupancySeries,
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error computing analytics:', error);
+    res.status(500).json({ message: 'Error computing analytics' });
+  }
+}
@@ -0,0 +1,53 @@
+import { getAdminDb, bookingsCollection } from './_lib/firebaseAdmin.js';
+import { OCCUPYING_STATUSES, getNightlyAvailability, checkAvailability } from '../src/lib/availability.js';
+import { MIN_GUESTS, MAX_GUESTS, isValidDate } from '../src/lib/bookingValidation.js';
+
+// Keeps a single request from scanning an unbounded range
+const MAX_NIGHTS = 366;
+
+export default async function handler(req, res) {
+  // 1. Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Only GET requests allowed' });
+  }
+
+  const { from, to, guests = '1' } = req.query;
+  if (!isValidDate(from) || !isValidDate(to) || to <= from) {
+    return res.status(400).json({ message: 'Provide valid from/to dates (YYYY-MM-DD) with to after from' });
+  }
+  // The party size sets how many rooms are checked per night, so bound it
+  // like the booking form does before any work is done
+  const guestCount = /^\d+$/.test(guests) ? Number(guests) : NaN;
+  if (!Number.isInteger(guestCount) || guestCount < MIN_GUESTS || guestCount > MAX_GUESTS) {
+    return res.status(400).json({ message: `guests must be a whole number from ${MIN_GUESTS} to ${MAX_GUESTS}` });
+  }
+  if ((new Date(to) - new Date(from)) / 86400000 > MAX_NIGHTS) {
+    return res.status(400).json({ message: `Date range cannot exceed ${MAX_NIGHTS} nights` });
+  }
+
+  try {
+    // 2. Load only bookings that hold a room and overlap the range
+    const snapshot = await bookingsCollection(getAdminDb())
+      .where('status', 'in', OCCUPYING_STATUSES)
+      .where('checkIn', '<', to)
+      .get();
+    const bookings = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(booking => booking.checkOut > from);
+
+    // 3. Only counts leave this function, never guest details
+    const nights = getNightlyAvailability({ bookings, from, to })
+      .map(({ date, totalRooms, freeRooms }) => ({ date, totalRooms, freeRooms }));
+    const { available, fullNights } = checkAvailability({
+      bookings, checkIn: from, checkOut: to, guestCount,
+    });
+
+    // Counts are public, so the booking form's calendar can come from the CDN
+    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=300');
+    res.status(200).json({ available, fullNights, nights });
+
+  } catch (error) {
+    console.error('Error checking availability:', error);
+    res.status(500).json({ message: 'Error checking availability' });
+  }
+}
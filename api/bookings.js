@@ -0,0 +1,152 @@
+import { randomBytes } from 'node:crypto';
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb, bookingsCollection, statusLookupDoc, auditLogCollection } from './_lib/firebaseAdmin.js';
+import { generateToken, hashToken } from './_lib/tokens.js';
+import { enforceRateLimit, clientIp } from './_lib/rateLimit.js';
+import { HttpError } from './_lib/httpError.js';
+import { todayInGuesthouseTz } from '../src/lib/dates.js';
+import { deliverNotification, queueNotifications } from './_lib/notifications.js';
+import { validateBooking } from '../src/lib/bookingValidation.js';
+import { OCCUPYING_STATUSES, checkAvailability } from '../src/lib/availability.js';
+import { createNotifications } from '../src/lib/notifications.js';
+import { createAuditEntry, ACTOR_TYPES } from '../src/lib/audit.js';
+import { buildSearchKeywords } from '../src/lib/bookingSearch.js';
+import { stayMetrics } from '../src/lib/bookingMetrics.js';
+import { BOOKING_STATES } from '../src/lib/bookingLifecycle.js';
+
+// gRPC status Firestore returns when create() hits an existing document
+const ALREADY_EXISTS = 6;
+const MAX_ID_ATTEMPTS = 3;
+
+const HOUR = 60 * 60 * 1000;
+const IP_LIMIT = { limit: 20, windowMs: HOUR };
+const RECIPIENT_LIMIT = { limit: 5, windowMs: HOUR };
+
+/**
+ * Generates a unique-looking Application ID, e.g. HPU-K3F9-7QX2M.
+ * Uniqueness is enforced by creating the statusLookup doc with create().
+ */
+function generateApplicationId() {
+  const timestamp = Date.now().toString(36).slice(-4);
+  const randomPart = BigInt(`0x${randomBytes(4).toString('hex')}`).toString(36).padStart(5, '0').slice(-5);
+  return `HPU-${timestamp}-${randomPart}`.toUpperCase();
+}
+
+/**
+ * Builds the booking handler. `generateId` is only swapped out by
+ * scripts/checkBookingsApi.js, to force an Application ID collision.
+ */
+export function createBookingsHandler({ generateId = generateApplicationId } = {}) {
+  return async function handler(req, res) {
+    // 1. Only allow POST requests
+    if (req.method !== 'POST') {
+      return res.status(405).json({ message: 'Only POST requests allowed' });
+    }
+
+    // 2. Validate the application; the client's checks are only a courtesy
+    const { errors, value } = validateBooking(req.body, { today: todayInGuesthouseTz() });
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields', errors });
+    }
+
+    try {
+      const db = getAdminDb();
+
+      // 3. Every booking emails (and may text) the address it was given, so
+      //    hold callers and recipients to the same limits as /api/sendEmail
+      await enforceRateLimit(db, `booking:${clientIp(req)}`, IP_LIMIT);
+      await enforceRateLimit(db, `to:${value.email}`, RECIPIENT_LIMIT);
+      if (value.smsOptIn) {
+        await enforceRateLimit(db, `sms:${value.phone.replace(/\D/g, '')}`, RECIPIENT_LIMIT);
+      }
+
+      // 4. Refuse stays we could never approve
+      const occupying = await bookingsCollection(db)
+        .where('status', 'in', OCCUPYING_STATUSES)
+        .where('checkIn', '<', value.checkOut)
+        .get();
+      const { available, fullNights } = checkAvailability({
+        bookings: occupying.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        checkIn: value.checkIn,
+        checkOut: value.checkOut,
+        guestCount: value.guestCount,
+      });
+      if (!available) {
+        return res.status(409).json({
+          message: `No rooms are available for your party on ${fullNights.join(', ')}. Please choose different dates.`,
+        });
+      }
+
+      // 5. Write the private booking, its public status mirror and the
+      //    submission email/SMS to the outbox together
+      const cancelToken = generateToken();
+      let booking;
+      let notificationRefs;
+      for (let attempt = 1; !booking; attempt++) {
+        const applicationId = generateId();
+        const auditRef = auditLogCollection(db).doc();
+        const submittedAt = new Date().toISOString();
+        const data = {
+          ...value,
+          status: BOOKING_STATES.PENDING,
+          applicationId,
+          cancelTokenHash: hashToken(cancelToken),
+          submittedAt,
+          lastAuditId: auditRef.id,
+          searchKeywords: buildSearchKeywords({ ...value, applicationId }),
+          ...stayMetrics({ ...value, submittedAt }),
+        };
+
+        const bookingRef = bookingsCollection(db).doc();
+        const notifications = createNotifications({
+          bookingId: bookingRef.id,
+          booking: data,
+          template: 'booking_submitted',
+          params: { name: data.name, applicationId, checkIn: data.checkIn },
+        });
+
+        const batch = db.batch();
+        batch.create(bookingRef, data);
+        batch.create(statusLookupDoc(db, applicationId), {
+          status: BOOKING_STATES.PENDING,
+          checkIn: data.checkIn,
+        });
+        notificationRefs = queueNotifications(db, batch, notifications, { cancelToken });
+        batch.create(auditRef, createAuditEntry({
+          bookingId: bookingRef.id,
+          booking: data,
+          toStatus: BOOKING_STATES.PENDING,
+          actorType: ACTOR_TYPES.GUEST,
+          at: FieldValue.serverTimestamp(),
+        }));
+        try {
+          await batch.commit();
+          booking = data;
+        } catch (error) {
+          // An Application ID collision: try again with a fresh one
+          if (error.code !== ALREADY_EXISTS || attempt >= MAX_ID_ATTEMPTS) throw error;
+        }
+      }
+
+      // 6. Try to notify the guest now; the outbox worker retries failures
+      for (const ref of notificationRefs) {
+        try {
+          await deliverNotification(db, ref.id);
+        } catch (notifyError) {
+          console.error('Error sending submission notification:', notifyError);
+        }
+      }
+
+      res.status(201).json({ applicationId: booking.applicationId, cancelToken });
+
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('Error creating booking:', error);
+      res.status(500).json({ message: 'Error submitting application' });
+    }
+  };
+}
+
+export default createBookingsHandler();
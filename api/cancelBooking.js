@@ -0,0 +1,96 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb, statusLookupDoc, notificationsCollection, auditLogCollection } from './_lib/firebaseAdmin.js';
+import { findBookingByToken, limitTokenAttempts } from './_lib/guestTokens.js';
+import { todayInGuesthouseTz } from '../src/lib/dates.js';
+import { createNotifications } from '../src/lib/notifications.js';
+import { createAuditEntry, ACTOR_TYPES } from '../src/lib/audit.js';
+import { deliverNotification } from './_lib/notifications.js';
+import { HttpError } from './_lib/httpError.js';
+import { BOOKING_STATES, getTransition, transitionError } from '../src/lib/bookingLifecycle.js';
+
+export default async function handler(req, res) {
+  // 1. Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Only POST requests allowed' });
+  }
+
+  const { applicationId, cancelToken } = req.body || {};
+  if (!applicationId || !cancelToken) {
+    return res.status(400).json({ message: 'Application ID and cancellation token are required' });
+  }
+
+  try {
+    const db = getAdminDb();
+    await limitTokenAttempts(db, req, 'cancel');
+    const id = String(applicationId).trim().toUpperCase();
+
+    // 2. Verify the token and flip both documents in one transaction,
+    //    so the booking and its statusLookup mirror never disagree.
+    let notificationRefs = [];
+    await db.runTransaction(async (tx) => {
+      const { bookingDoc, data } = await findBookingByToken(db, {
+        applicationId: id,
+        token: String(cancelToken).trim(),
+        hashField: 'cancelTokenHash',
+        invalidMessage: 'Invalid Application ID or cancellation token',
+      }, tx);
+      const transition = getTransition(data.status, BOOKING_STATES.CANCELLED, ACTOR_TYPES.GUEST);
+      if (!transition) {
+        throw new HttpError(409, transitionError(data.status, BOOKING_STATES.CANCELLED));
+      }
+      if (data.checkIn <= todayInGuesthouseTz()) {
+        throw new HttpError(409, 'Your stay has already started, please contact the reception to cancel');
+      }
+
+      const auditRef = auditLogCollection(db).doc();
+      const update = {
+        status: BOOKING_STATES.CANCELLED,
+        statusReason: null,
+        cancelledAt: FieldValue.serverTimestamp(),
+      };
+      tx.update(bookingDoc.ref, {
+        ...update,
+        lastAuditId: auditRef.id,
+        ...(transition.releasesRooms && { roomIds: FieldValue.delete() }),
+      });
+      tx.update(statusLookupDoc(db, id), update);
+      tx.set(auditRef, createAuditEntry({
+        bookingId: bookingDoc.id,
+        booking: data,
+        fromStatus: data.status,
+        toStatus: BOOKING_STATES.CANCELLED,
+        actorType: ACTOR_TYPES.GUEST,
+        at: FieldValue.serverTimestamp(),
+      }));
+      const notifications = createNotifications({
+        bookingId: bookingDoc.id,
+        booking: data,
+        template: transition.template,
+        params: { name: data.name, applicationId: data.applicationId, checkIn: data.checkIn },
+      });
+      notificationRefs = notifications.map(notification => {
+        const ref = notificationsCollection(db).doc();
+        tx.set(ref, notification);
+        return ref;
+      });
+    });
+
+    // 3. Let the guest know; the outbox worker retries failures
+    for (const ref of notificationRefs) {
+      try {
+        await deliverNotification(db, ref.id);
+      } catch (notifyError) {
+        console.error('Error sending cancellation notification:', notifyError);
+      }
+    }
+
+    res.status(200).json({ message: 'Booking cancelled successfully' });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({ message: 'Error cancelling booking' });
+  }
+}
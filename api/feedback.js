@@ -0,0 +1,78 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb, feedbackCollection } from './_lib/firebaseAdmin.js';
+import { findBookingByToken, limitTokenAttempts } from './_lib/guestTokens.js';
+import { HttpError } from './_lib/httpError.js';
+import { BOOKING_STATES } from '../src/lib/bookingLifecycle.js';
+import { FEEDBACK_LINK_VALID_DAYS, toTestimonial, validateFeedback } from '../src/lib/feedback.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INVALID_LINK = 'This feedback link is invalid or has expired';
+
+export default async function handler(req, res) {
+  // 1. Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Only POST requests allowed' });
+  }
+
+  const { applicationId, token, ...input } = req.body || {};
+  if (!applicationId || !token) {
+    return res.status(400).json({ message: 'Use the feedback link from your email' });
+  }
+  const { errors, value } = validateFeedback(input);
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ message: 'Please correct the highlighted fields', errors });
+  }
+
+  try {
+    const db = getAdminDb();
+    await limitTokenAttempts(db, req, 'feedback');
+    const id = String(applicationId).trim().toUpperCase();
+
+    // 2. Only a checked-out stay with an unused, unexpired link may leave
+    //    feedback; setting feedbackId in the same transaction uses it up
+    await db.runTransaction(async (tx) => {
+      const { bookingDoc, data: booking } = await findBookingByToken(db, {
+        applicationId: id,
+        token: String(token).trim(),
+        hashField: 'feedbackTokenHash',
+        invalidMessage: INVALID_LINK,
+      }, tx);
+      if (booking.feedbackId) {
+        throw new HttpError(409, 'Thank you, we have already received your feedback for this stay');
+      }
+      if (booking.status !== BOOKING_STATES.CHECKED_OUT ||
+        Date.now() - Date.parse(booking.feedbackRequestedAt) > FEEDBACK_LINK_VALID_DAYS * DAY_MS) {
+        throw new HttpError(403, INVALID_LINK);
+      }
+
+      const feedbackRef = feedbackCollection(db).doc();
+      const entry = {
+        ...value,
+        bookingId: bookingDoc.id,
+        applicationId: id,
+        name: booking.name,
+        purpose: booking.purpose,
+        checkIn: booking.checkIn,
+        checkOut: booking.checkOut,
+      };
+      tx.set(feedbackRef, {
+        ...entry,
+        // The only copy admins may publish; firestore.rules hold the
+        // testimonial to it
+        ...(value.allowPublishing && { testimonial: toTestimonial(entry) }),
+        published: false,
+        submittedAt: FieldValue.serverTimestamp(),
+      });
+      tx.update(bookingDoc.ref, { feedbackId: feedbackRef.id });
+    });
+
+    res.status(201).json({ message: 'Thank you for your feedback' });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error saving feedback:', error);
+    res.status(500).json({ message: 'Error saving feedback' });
+  }
+}
@@ -0,0 +1,26 @@
+import { getAdminDb } from './_lib/firebaseAdmin.js';
+import { sendFeedbackRequests } from './_lib/feedbackRequests.js';
+import { HttpError } from './_lib/httpError.js';
+
+export default async function handler(req, res) {
+  try {
+    // 1. Only the daily Vercel Cron job (see vercel.json) runs this
+    if (req.method !== 'GET') {
+      return res.status(405).json({ message: 'Only GET requests allowed' });
+    }
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+      throw new HttpError(401, 'Unauthorized');
+    }
+
+    // 2. Queue the links; /api/notifications delivers them
+    const requested = await sendFeedbackRequests(getAdminDb());
+    res.status(200).json({ requested });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error requesting feedback:', error);
+    res.status(500).json({ message: 'Error requesting feedback' });
+  }
+}
@@ -0,0 +1,129 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb, bookingsCollection, invoicesCollection, invoiceCounterDoc, mealsCollection, tariffDoc } from './_lib/firebaseAdmin.js';
+import { verifyAdmin } from './_lib/auth.js';
+import { HttpError } from './_lib/httpError.js';
+import { todayInGuesthouseTz } from '../src/lib/dates.js';
+import { BOOKING_STATES } from '../src/lib/bookingLifecycle.js';
+import { PAYMENT_METHODS, PAYMENT_STATUSES, billedStay, estimateCharge, financialYear, formatInvoiceNumber, withDefaults } from '../src/lib/billing.js';
+
+const MAX_REFERENCE_LENGTH = 100;
+
+/**
+ * Issues the invoice for a checked-out booking, numbered in sequence for
+ * the financial year, with the room and any meals served. A booking gets
+ * one invoice; asking again returns it.
+ */
+async function issueInvoice(db, admin, bookingId) {
+  return db.runTransaction(async (tx) => {
+    const bookingRef = bookingsCollection(db).doc(bookingId);
+    const counterRef = invoiceCounterDoc(db);
+    const [bookingSnap, counterSnap, tariffSnap, mealsSnap] = await Promise.all([
+      tx.get(bookingRef), tx.get(counterRef), tx.get(tariffDoc(db)),
+      tx.get(mealsCollection(db).where('bookingId', '==', bookingId)),
+    ]);
+    if (!bookingSnap.exists) {
+      throw new HttpError(404, 'Booking not found');
+    }
+    const booking = bookingSnap.data();
+    if (booking.invoiceId) {
+      return { invoiceId: booking.invoiceId, number: booking.invoiceNumber };
+    }
+    if (booking.status !== BOOKING_STATES.CHECKED_OUT) {
+      throw new HttpError(409, 'Invoices are issued once the guest has checked out');
+    }
+
+    const issuedOn = todayInGuesthouseTz();
+    const year = financialYear(issuedOn);
+    const sequence = (counterSnap.data()?.[year] || 0) + 1;
+    const number = formatInvoiceNumber(year, sequence);
+    const invoiceRef = invoicesCollection(db).doc();
+
+    tx.set(counterRef, { [year]: sequence }, { merge: true });
+    tx.set(invoiceRef, {
+      number,
+      issuedOn,
+      issuedAt: FieldValue.serverTimestamp(),
+      issuedBy: admin.email,
+      bookingId,
+      applicationId: booking.applicationId,
+      guest: { name: booking.name, email: booking.email, phone: booking.phone, address: booking.address },
+      purpose: booking.purpose,
+      guestCount: booking.guestCount,
+      roomIds: booking.roomIds || [],
+      ...billedStay(booking),
+      ...estimateCharge(booking, withDefaults(tariffSnap.data()), mealsSnap.docs.map(doc => doc.data())),
+      paymentStatus: PAYMENT_STATUSES.UNPAID,
+    });
+    tx.update(bookingRef, { invoiceId: invoiceRef.id, invoiceNumber: number, paymentStatus: PAYMENT_STATUSES.UNPAID });
+    return { invoiceId: invoiceRef.id, number };
+  });
+}
+
+/**
+ * Records payment of an invoice, on the invoice and its booking.
+ */
+async function markPaid(db, admin, { invoiceId, paymentMethod, paymentReference = '' }) {
+  if (!PAYMENT_METHODS[paymentMethod]) {
+    throw new HttpError(400, `Payment method must be one of: ${Object.keys(PAYMENT_METHODS).join(', ')}`);
+  }
+  const reference = String(paymentReference).trim();
+  if (reference.length > MAX_REFERENCE_LENGTH) {
+    throw new HttpError(400, `Payment reference cannot exceed ${MAX_REFERENCE_LENGTH} characters`);
+  }
+
+  await db.runTransaction(async (tx) => {
+    const invoiceRef = invoicesCollection(db).doc(invoiceId);
+    const snapshot = await tx.get(invoiceRef);
+    if (!snapshot.exists) {
+      throw new HttpError(404, 'Invoice not found');
+    }
+    const invoice = snapshot.data();
+    if (invoice.paymentStatus === PAYMENT_STATUSES.PAID) {
+      throw new HttpError(409, `Invoice ${invoice.number} is already paid`);
+    }
+
+    tx.update(invoiceRef, {
+      paymentStatus: PAYMENT_STATUSES.PAID,
+      paymentMethod,
+      paymentReference: reference,
+      paidAt: FieldValue.serverTimestamp(),
+      paidBy: admin.email,
+    });
+    tx.update(bookingsCollection(db).doc(invoice.bookingId), { paymentStatus: PAYMENT_STATUSES.PAID });
+  });
+}
+
+export default async function handler(req, res) {
+  // 1. POST issues a booking's invoice, PATCH marks one as paid
+  if (req.method !== 'POST' && req.method !== 'PATCH') {
+    return res.status(405).json({ message: 'Only POST and PATCH requests allowed' });
+  }
+
+  try {
+    // 2. Billing is the reception's job, so approvers may do both
+    const admin = await verifyAdmin(req);
+    const db = getAdminDb();
+    const body = req.body || {};
+
+    if (req.method === 'POST') {
+      if (!body.bookingId) {
+        throw new HttpError(400, 'bookingId is required');
+      }
+      const invoice = await issueInvoice(db, admin, String(body.bookingId));
+      return res.status(200).json(invoice);
+    }
+
+    if (!body.invoiceId) {
+      throw new HttpError(400, 'invoiceId is required');
+    }
+    await markPaid(db, admin, { ...body, invoiceId: String(body.invoiceId) });
+    res.status(200).json({ message: 'Payment recorded' });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error handling invoice request:', error);
+    res.status(500).json({ message: 'Error handling invoice request' });
+  }
+}
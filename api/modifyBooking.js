@@ -0,0 +1,152 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb, bookingsCollection, statusLookupDoc, notificationsCollection, auditLogCollection } from './_lib/firebaseAdmin.js';
+import { findBookingByToken, limitTokenAttempts } from './_lib/guestTokens.js';
+import { deliverNotification } from './_lib/notifications.js';
+import { HttpError } from './_lib/httpError.js';
+import { todayInGuesthouseTz } from '../src/lib/dates.js';
+import { validateBooking } from '../src/lib/bookingValidation.js';
+import { OCCUPYING_STATUSES, checkAvailability } from '../src/lib/availability.js';
+import { createNotifications } from '../src/lib/notifications.js';
+import { createAuditEntry, ACTOR_TYPES } from '../src/lib/audit.js';
+import { stayMetrics } from '../src/lib/bookingMetrics.js';
+import { BOOKING_STATES, canModify, getTransition } from '../src/lib/bookingLifecycle.js';
+import { MODIFIABLE_FIELDS, describeChanges, diffBooking, pickModifiable } from '../src/lib/bookingChanges.js';
+
+/**
+ * The booking behind an Application ID, if the token matches and the
+ * guest may still change it.
+ */
+async function findBooking(db, applicationId, cancelToken, tx) {
+  const { bookingDoc, data } = await findBookingByToken(db, {
+    applicationId,
+    token: cancelToken,
+    hashField: 'cancelTokenHash',
+    invalidMessage: 'Invalid Application ID or cancellation token',
+  }, tx);
+  if (!canModify(data.status)) {
+    throw new HttpError(409, `This booking is ${data.status} and can no longer be changed`);
+  }
+  if (data.checkIn <= todayInGuesthouseTz()) {
+    throw new HttpError(409, 'Your stay has already started, please contact the reception to change it');
+  }
+  return { bookingDoc, data };
+}
+
+export default async function handler(req, res) {
+  // 1. POST looks the booking up, PATCH changes it
+  if (req.method !== 'POST' && req.method !== 'PATCH') {
+    return res.status(405).json({ message: 'Only POST and PATCH requests allowed' });
+  }
+
+  const { applicationId, cancelToken, ...input } = req.body || {};
+  if (!applicationId || !cancelToken) {
+    return res.status(400).json({ message: 'Application ID and cancellation token are required' });
+  }
+
+  try {
+    const db = getAdminDb();
+    await limitTokenAttempts(db, req, 'cancel');
+    const id = String(applicationId).trim().toUpperCase();
+    const token = String(cancelToken).trim();
+
+    // 2. Hand back only what the guest may change
+    const { bookingDoc, data } = await findBooking(db, id, token);
+    if (req.method === 'POST') {
+      return res.status(200).json({ booking: { applicationId: id, status: data.status, ...pickModifiable(data) } });
+    }
+
+    // 3. Validate the changed fields together with the rest of the booking
+    const requested = pickModifiable(data);
+    MODIFIABLE_FIELDS.forEach(field => {
+      if (input[field] !== undefined) requested[field] = input[field];
+    });
+    const { errors, value } = validateBooking({ ...data, ...requested }, { today: todayInGuesthouseTz() });
+    const fieldErrors = Object.fromEntries(Object.entries(errors).filter(([field]) => MODIFIABLE_FIELDS.includes(field)));
+    if (Object.keys(fieldErrors).length) {
+      return res.status(400).json({ message: 'Please correct the highlighted fields', errors: fieldErrors });
+    }
+    const changes = diffBooking(data, value);
+    if (!changes.length) {
+      throw new HttpError(400, 'Nothing has changed');
+    }
+
+    // 4. The new stay must fit around everyone else's
+    const occupying = await bookingsCollection(db)
+      .where('status', 'in', OCCUPYING_STATUSES)
+      .where('checkIn', '<', value.checkOut)
+      .get();
+    const { available, fullNights } = checkAvailability({
+      bookings: occupying.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      checkIn: value.checkIn,
+      checkOut: value.checkOut,
+      guestCount: value.guestCount,
+      excludeId: bookingDoc.id,
+    });
+    if (!available) {
+      throw new HttpError(409, `No rooms are available for your party on ${fullNights.join(', ')}. Please choose different dates.`);
+    }
+
+    // 5. Save the change in a transaction that re-checks the token and
+    //    status; an approved booking goes back to Pending and frees its rooms
+    let notificationRefs = [];
+    await db.runTransaction(async (tx) => {
+      const { bookingDoc: current, data: booking } = await findBooking(db, id, token, tx);
+      const transition = getTransition(booking.status, BOOKING_STATES.PENDING, ACTOR_TYPES.GUEST);
+      const updated = pickModifiable(value);
+      const auditRef = auditLogCollection(db).doc();
+
+      tx.update(current.ref, {
+        ...updated,
+        ...stayMetrics({ ...updated, submittedAt: booking.submittedAt }),
+        status: BOOKING_STATES.PENDING,
+        statusReason: null,
+        lastAuditId: auditRef.id,
+        // Keep what the admin last saw until they decide again
+        modification: {
+          previous: booking.modification?.previous || { ...pickModifiable(booking), status: booking.status },
+          changedAt: FieldValue.serverTimestamp(),
+        },
+        ...(transition?.releasesRooms && { roomIds: FieldValue.delete() }),
+      });
+      tx.update(statusLookupDoc(db, id), { status: BOOKING_STATES.PENDING, statusReason: null, checkIn: updated.checkIn });
+      tx.set(auditRef, createAuditEntry({
+        bookingId: current.id,
+        booking,
+        fromStatus: booking.status,
+        toStatus: BOOKING_STATES.PENDING,
+        actorType: ACTOR_TYPES.GUEST,
+        reason: describeChanges(diffBooking(booking, updated)),
+        at: FieldValue.serverTimestamp(),
+      }));
+      const notifications = createNotifications({
+        bookingId: current.id,
+        booking,
+        template: 'booking_modified',
+        params: { name: booking.name, applicationId: id, checkIn: updated.checkIn, checkOut: updated.checkOut },
+      });
+      notificationRefs = notifications.map(notification => {
+        const ref = notificationsCollection(db).doc();
+        tx.set(ref, notification);
+        return ref;
+      });
+    });
+
+    // 6. Confirm to the guest; the outbox worker retries failures
+    for (const ref of notificationRefs) {
+      try {
+        await deliverNotification(db, ref.id);
+      } catch (notifyError) {
+        console.error('Error sending modification notification:', notifyError);
+      }
+    }
+
+    res.status(200).json({ message: 'Your changes have been submitted for approval' });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error modifying booking:', error);
+    res.status(500).json({ message: 'Error modifying booking' });
+  }
+}
@@ -0,0 +1,39 @@
+import { getAdminDb } from './_lib/firebaseAdmin.js';
+import { verifyAdmin } from './_lib/auth.js';
+import { deliverNotification, processDueNotifications } from './_lib/notifications.js';
+import { HttpError } from './_lib/httpError.js';
+
+export default async function handler(req, res) {
+  try {
+    const db = getAdminDb();
+
+    // 1. GET: the scheduled worker (Vercel Cron, see vercel.json)
+    if (req.method === 'GET') {
+      if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        throw new HttpError(401, 'Unauthorized');
+      }
+      const attempted = await processDueNotifications(db);
+      return res.status(200).json({ attempted });
+    }
+
+    // 2. POST: deliver one notification now, or resend a failed one
+    if (req.method === 'POST') {
+      await verifyAdmin(req);
+      const { notificationId, resend = false } = req.body || {};
+      if (!notificationId) {
+        throw new HttpError(400, 'notificationId is required');
+      }
+      const attempted = await deliverNotification(db, String(notificationId), { force: Boolean(resend) });
+      return res.status(200).json({ attempted });
+    }
+
+    res.status(405).json({ message: 'Only GET and POST requests allowed' });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error delivering notifications:', error);
+    res.status(500).json({ message: 'Error delivering notifications' });
+  }
+}
@@ -0,0 +1,260 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb, bookingsCollection, statusLookupDoc, auditLogCollection } from './_lib/firebaseAdmin.js';
+import { verifyAdmin } from './_lib/auth.js';
+import { deliverNotification, queueNotifications } from './_lib/notifications.js';
+import { HttpError } from './_lib/httpError.js';
+import { OCCUPYING_STATUSES, checkAvailability, getFreeRooms, pickRooms, roomsCapacity } from '../src/lib/availability.js';
+import { BOOKING_STATES, ROOM_HOLDING_STATES, getTransition, transitionError } from '../src/lib/bookingLifecycle.js';
+import { createAuditEntry, ACTOR_TYPES } from '../src/lib/audit.js';
+import { createNotifications } from '../src/lib/notifications.js';
+import { decisionHours } from '../src/lib/bookingMetrics.js';
+import { MAX_REASON_LENGTH } from '../src/lib/decisionReasons.js';
+import { ROOMS } from '../src/lib/rooms.js';
+
+// Each approval writes up to five documents (booking, status lookup, audit
+// entry, email, SMS), all in one transaction
+const MAX_APPROVALS = 50;
+
+/**
+ * Throws a 400 unless `roomIds` is a non-empty list of distinct rooms.
+ */
+function checkRoomIds(roomIds) {
+  if (!Array.isArray(roomIds) || !roomIds.length
+    || new Set(roomIds).size !== roomIds.length
+    || !roomIds.every(roomId => ROOMS.some(room => room.id === roomId))) {
+    throw new HttpError(400, 'roomIds must list one or more rooms, each once');
+  }
+}
+
+/**
+ * Bookings holding rooms on any night between `from` and `to`, read
+ * through `tx` so the assignment is checked against them.
+ */
+async function loadOccupying(db, tx, from, to) {
+  const snapshot = await tx.get(bookingsCollection(db)
+    .where('status', 'in', OCCUPYING_STATUSES)
+    .where('checkIn', '<', to));
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(booking => booking.checkOut > from);
+}
+
+/**
+ * Why `booking` can't have `roomIds` next to the `occupying` stays, or null.
+ */
+function roomConflict(booking, roomIds, occupying) {
+  const free = getFreeRooms({ bookings: occupying, checkIn: booking.checkIn, checkOut: booking.checkOut, excludeId: booking.id })
+    .map(room => room.id);
+  const taken = roomIds.filter(roomId => !free.includes(roomId));
+  if (taken.length) {
+    return `room ${taken.join(', ')} is already taken on those dates`;
+  }
+  if (roomsCapacity(roomIds) < booking.guestCount) {
+    return `room ${roomIds.join(', ')} cannot sleep ${booking.guestCount} guests`;
+  }
+  return null;
+}
+
+/**
+ * Approves bookings and assigns their rooms in one transaction, checked
+ * against a fresh read of every stay holding rooms on those nights, so
+ * two admins can never hand out the same room. Each approval brings the
+ * `roomIds` picked in the room dialog, or has rooms picked for it in
+ * check-in order. Bookings that can't be approved are returned in
+ * `failures`; the rest go ahead.
+ */
+async function approveBookings(db, admin, approvals, reason) {
+  return db.runTransaction(async (tx) => {
+    const snapshots = await tx.getAll(...approvals.map(({ bookingId }) => bookingsCollection(db).doc(bookingId)));
+    const failures = [];
+    const targets = [];
+    snapshots.forEach((snapshot, i) => {
+      const { bookingId, roomIds } = approvals[i];
+      if (!snapshot.exists) {
+        failures.push({ bookingId, error: 'booking not found' });
+        return;
+      }
+      const booking = { id: snapshot.id, ...snapshot.data() };
+      const transition = getTransition(booking.status, BOOKING_STATES.APPROVED, ACTOR_TYPES.ADMIN);
+      if (!transition) {
+        failures.push({ bookingId, error: transitionError(booking.status, BOOKING_STATES.APPROVED) });
+        return;
+      }
+      targets.push({ booking, roomIds, transition });
+    });
+    if (!targets.length) {
+      return { approved: [], failures, notificationRefs: [] };
+    }
+
+    targets.sort((a, b) => a.booking.checkIn.localeCompare(b.booking.checkIn));
+    const from = targets[0].booking.checkIn;
+    const to = targets.reduce((latest, { booking }) => (booking.checkOut > latest ? booking.checkOut : latest), from);
+    let occupying = await loadOccupying(db, tx, from, to);
+
+    const approved = [];
+    const notificationRefs = [];
+    for (const { booking, roomIds: requested, transition } of targets) {
+      let roomIds = requested;
+      let error = requested && roomConflict(booking, requested, occupying);
+      if (!requested) {
+        const { available, fullNights } = checkAvailability({
+          bookings: occupying,
+          checkIn: booking.checkIn,
+          checkOut: booking.checkOut,
+          guestCount: booking.guestCount,
+          excludeId: booking.id,
+        });
+        roomIds = available && pickRooms(
+          getFreeRooms({ bookings: occupying, checkIn: booking.checkIn, checkOut: booking.checkOut, excludeId: booking.id }),
+          booking.guestCount
+        );
+        if (!roomIds) {
+          error = fullNights.length ? `no room is free on ${fullNights.join(', ')}` : 'no suitable room is free';
+        }
+      }
+      if (error) {
+        failures.push({ bookingId: booking.id, error });
+        continue;
+      }
+
+      const auditRef = auditLogCollection(db).doc();
+      tx.update(bookingsCollection(db).doc(booking.id), {
+        status: BOOKING_STATES.APPROVED,
+        statusReason: reason || null,
+        lastAuditId: auditRef.id,
+        roomIds,
+        // A decision settles the guest's changes
+        ...(booking.modification && { modification: null }),
+        // The first decision on an application feeds the turnaround analytics
+        ...(booking.status === BOOKING_STATES.PENDING && booking.decisionHours == null && {
+          decidedAt: FieldValue.serverTimestamp(),
+          decisionHours: decisionHours(booking.submittedAt),
+        }),
+      });
+      tx.update(statusLookupDoc(db, booking.applicationId), {
+        status: BOOKING_STATES.APPROVED,
+        statusReason: reason || null,
+      });
+      tx.set(auditRef, createAuditEntry({
+        bookingId: booking.id,
+        booking,
+        fromStatus: booking.status,
+        toStatus: BOOKING_STATES.APPROVED,
+        actor: admin,
+        reason,
+        at: FieldValue.serverTimestamp(),
+      }));
+      notificationRefs.push(...queueNotifications(db, tx, createNotifications({
+        bookingId: booking.id,
+        booking,
+        template: transition.template,
+        params: {
+          name: booking.name,
+          applicationId: booking.applicationId,
+          checkIn: booking.checkIn,
+          room: roomIds.join(', '),
+          ...(reason && { reason }),
+        },
+      })));
+
+      approved.push(booking.id);
+      occupying = [
+        ...occupying.filter(other => other.id !== booking.id),
+        { ...booking, status: BOOKING_STATES.APPROVED, roomIds },
+      ];
+    }
+    return { approved, failures, notificationRefs };
+  });
+}
+
+/**
+ * Moves a booking that holds rooms to other rooms, checked in the same
+ * transaction against every other stay on its nights. The status stays
+ * the same.
+ */
+async function moveRooms(db, bookingId, roomIds) {
+  await db.runTransaction(async (tx) => {
+    const bookingRef = bookingsCollection(db).doc(bookingId);
+    const snapshot = await tx.get(bookingRef);
+    if (!snapshot.exists) {
+      throw new HttpError(404, 'Booking not found');
+    }
+    const booking = { id: snapshot.id, ...snapshot.data() };
+    if (!ROOM_HOLDING_STATES.includes(booking.status)) {
+      throw new HttpError(409, `This booking is ${booking.status} and holds no rooms`);
+    }
+
+    const occupying = await loadOccupying(db, tx, booking.checkIn, booking.checkOut);
+    const error = roomConflict(booking, roomIds, occupying);
+    if (error) {
+      throw new HttpError(409, `Cannot move ${booking.applicationId}: ${error}`);
+    }
+    tx.update(bookingRef, { roomIds });
+  });
+}
+
+export default async function handler(req, res) {
+  // 1. POST approves bookings, PATCH moves one to other rooms
+  if (req.method !== 'POST' && req.method !== 'PATCH') {
+    return res.status(405).json({ message: 'Only POST and PATCH requests allowed' });
+  }
+
+  try {
+    const admin = await verifyAdmin(req);
+    const db = getAdminDb();
+    const body = req.body || {};
+
+    if (req.method === 'PATCH') {
+      if (!body.bookingId) {
+        throw new HttpError(400, 'bookingId is required');
+      }
+      checkRoomIds(body.roomIds);
+      await moveRooms(db, String(body.bookingId), body.roomIds);
+      return res.status(200).json({ message: 'Rooms changed' });
+    }
+
+    // 2. Check the request before anything is read
+    const { approvals, reason = '' } = body;
+    if (!Array.isArray(approvals) || !approvals.length || approvals.length > MAX_APPROVALS) {
+      throw new HttpError(400, `approvals must list 1 to ${MAX_APPROVALS} bookings`);
+    }
+    approvals.forEach(approval => {
+      if (!approval?.bookingId) {
+        throw new HttpError(400, 'Every approval needs a bookingId');
+      }
+      if (approval.roomIds !== undefined) checkRoomIds(approval.roomIds);
+    });
+    if (new Set(approvals.map(({ bookingId }) => String(bookingId))).size !== approvals.length) {
+      throw new HttpError(400, 'Each booking can only be approved once per request');
+    }
+    if (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH) {
+      throw new HttpError(400, `The reason cannot exceed ${MAX_REASON_LENGTH} characters`);
+    }
+
+    // 3. Approve and assign rooms in one transaction
+    const { approved, failures, notificationRefs } = await approveBookings(
+      db,
+      admin,
+      approvals.map(({ bookingId, roomIds }) => ({ bookingId: String(bookingId), roomIds })),
+      reason.trim()
+    );
+
+    // 4. Let the guests know; the outbox worker retries failures
+    for (const ref of notificationRefs) {
+      try {
+        await deliverNotification(db, ref.id);
+      } catch (notifyError) {
+        console.error('Error sending approval notification:', notifyError);
+      }
+    }
+
+    res.status(200).json({ approved, failures });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error assigning rooms:', error);
+    res.status(500).json({ message: 'Error assigning rooms' });
+  }
+}
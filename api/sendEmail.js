@@ -1,4 +1,15 @@
-import * as Brevo from '@getbrevo/brevo'; // <--- UPDATED to the correct package
+import { sendTemplateEmail } from './_lib/email.js';
+import { getAdminDb, bookingsCollection } from './_lib/firebaseAdmin.js';
+import { verifyAdmin } from './_lib/auth.js';
+import { enforceRateLimit, clientIp } from './_lib/rateLimit.js';
+import { HttpError } from './_lib/httpError.js';
+
+// The only template a guest-facing caller may trigger; all others need an admin
+const PUBLIC_TEMPLATES = ['booking_submitted'];
+
+const HOUR = 60 * 60 * 1000;
+const IP_LIMIT = { limit: 20, windowMs: HOUR };
+const RECIPIENT_LIMIT = { limit: 5, windowMs: HOUR };
 
 export default async function handler(req, res) {
   // 1. Only allow POST requests
@@ -7,40 +18,43 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { to, template, data } = req.body;
-    
-    // 2. Configure Brevo
-    let apiInstance = new Brevo.TransactionalEmailsApi(); // <--- This class name is correct
-    let apiKey = apiInstance.authentications['apiKey'];
-    
-    // 3. Securely load your API key from Vercel Environment Variables
-    // This 'process.env.BREVO_API_KEY' will be populated by Vercel on the server
-    apiKey.apiKey = process.env.BREVO_API_KEY; 
-
-    // 4. Select email template
-    let templateId;
-    if (template === 'booking_submitted') {
-      templateId = 1; // <--- REPLACE with your Brevo template ID for submission
-    } else if (template === 'booking_approved') {
-      templateId = 2; // <--- REPLACE with your Brevo template ID for approval
-    } else if (template === 'booking_rejected') {
-      templateId = 3; // <--- REPLACE with your Brevo template ID for rejection
+    const { to, template, data = {} } = req.body || {};
+    if (!to || !template) {
+      throw new HttpError(400, 'Recipient and template are required');
+    }
+
+    const db = getAdminDb();
+    await enforceRateLimit(db, `ip:${clientIp(req)}`, IP_LIMIT);
+
+    // 2. Check the caller may send this email to this recipient
+    let params = data;
+    if (PUBLIC_TEMPLATES.includes(template)) {
+      // Only ever to the address on a real booking, with its stored details
+      const snapshot = await bookingsCollection(db)
+        .where('applicationId', '==', String(data.applicationId || ''))
+        .limit(1)
+        .get();
+      const booking = snapshot.docs[0]?.data();
+      if (!booking || booking.email !== String(to).trim().toLowerCase()) {
+        throw new HttpError(403, 'Recipient does not match any booking');
+      }
+      params = { name: booking.name, applicationId: booking.applicationId, checkIn: booking.checkIn };
     } else {
-      throw new Error('Invalid template specified');
+      await verifyAdmin(req);
     }
 
-    // 5. Send the email
-    await apiInstance.sendTransacEmail({
-      to: [{ email: to, name: data.name }],
-      templateId: templateId,
-      params: data, // This passes { name, applicationId, checkIn } to your Brevo template
-    });
+    await enforceRateLimit(db, `to:${String(to).trim().toLowerCase()}`, RECIPIENT_LIMIT);
+
+    // 3. Send the email (template lookup and Brevo setup live in _lib/email.js)
+    await sendTemplateEmail(to, template, params);
 
     res.status(200).json({ message: 'Email sent successfully' });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error sending email:', error);
     res.status(500).json({ message: 'Error sending email' });
   }
 }
-
@@ -0,0 +1,42 @@
+import { sendTemplateSms } from './_lib/sms.js';
+import { getAdminDb } from './_lib/firebaseAdmin.js';
+import { verifyAdmin } from './_lib/auth.js';
+import { enforceRateLimit, clientIp } from './_lib/rateLimit.js';
+import { HttpError } from './_lib/httpError.js';
+
+const HOUR = 60 * 60 * 1000;
+const IP_LIMIT = { limit: 20, windowMs: HOUR };
+const RECIPIENT_LIMIT = { limit: 5, windowMs: HOUR };
+
+export default async function handler(req, res) {
+  // 1. Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Only POST requests allowed' });
+  }
+
+  try {
+    const { to, template, data = {} } = req.body || {};
+    if (!to || !template) {
+      throw new HttpError(400, 'Recipient and template are required');
+    }
+
+    // 2. Guest messages go out through the notifications outbox; sending
+    //    one by hand is for admins only
+    const db = getAdminDb();
+    await enforceRateLimit(db, `ip:${clientIp(req)}`, IP_LIMIT);
+    await verifyAdmin(req);
+    await enforceRateLimit(db, `sms:${String(to).replace(/\D/g, '')}`, RECIPIENT_LIMIT);
+
+    // 3. Send the SMS (templates and provider setup live in _lib/sms.js)
+    await sendTemplateSms(to, template, data);
+
+    res.status(200).json({ message: 'SMS sent successfully' });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error sending SMS:', error);
+    res.status(500).json({ message: 'Error sending SMS' });
+  }
+}
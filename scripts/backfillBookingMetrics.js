@@ -0,0 +1,49 @@
+// Adds the analytics fields (`nights`, `leadDays` and, where the audit log
+// records the first decision, `decisionHours`) to bookings submitted before
+// the analytics dashboard existed. Safe to re-run.
+//
+//   FIREBASE_SERVICE_ACCOUNT='{...}' npm run backfill:metrics
+import { getAdminDb, bookingsCollection, auditLogCollection } from '../api/_lib/firebaseAdmin.js';
+import { stayMetrics, decisionHours } from '../src/lib/bookingMetrics.js';
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 400;
+const DECISIONS = ['Approved', 'Rejected'];
+
+const db = getAdminDb();
+let last = null;
+let updated = 0;
+
+async function firstDecision(bookingId) {
+  const history = await auditLogCollection(db)
+    .where('bookingId', '==', bookingId)
+    .orderBy('at', 'asc')
+    .get();
+  const entry = history.docs.map(doc => doc.data())
+    .find(data => data.fromStatus === 'Pending' && DECISIONS.includes(data.toStatus));
+  return entry?.at?.toDate();
+}
+
+for (;;) {
+  let page = bookingsCollection(db).orderBy('__name__').limit(BATCH_SIZE);
+  if (last) page = page.startAfter(last);
+  const snapshot = await page.get();
+  if (snapshot.empty) break;
+
+  const batch = db.batch();
+  for (const doc of snapshot.docs) {
+    const booking = doc.data();
+    const update = stayMetrics(booking);
+    if (booking.decisionHours == null && booking.status !== 'Pending') {
+      const decidedAt = await firstDecision(doc.id);
+      if (decidedAt) Object.assign(update, { decidedAt, decisionHours: decisionHours(booking.submittedAt, decidedAt) });
+    }
+    batch.update(doc.ref, update);
+  }
+  await batch.commit();
+
+  updated += snapshot.size;
+  last = snapshot.docs[snapshot.docs.length - 1];
+}
+
+console.log(`Updated analytics fields on ${updated} bookings.`);
@@ -0,0 +1,31 @@
+// Adds `searchKeywords` to bookings submitted before dashboard search
+// existed. Safe to re-run; it rewrites the keywords of every booking.
+//
+//   FIREBASE_SERVICE_ACCOUNT='{...}' npm run backfill:search
+import { getAdminDb, bookingsCollection } from '../api/_lib/firebaseAdmin.js';
+import { buildSearchKeywords } from '../src/lib/bookingSearch.js';
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 400;
+
+const db = getAdminDb();
+let last = null;
+let updated = 0;
+
+for (;;) {
+  let page = bookingsCollection(db).orderBy('__name__').limit(BATCH_SIZE);
+  if (last) page = page.startAfter(last);
+  const snapshot = await page.get();
+  if (snapshot.empty) break;
+
+  const batch = db.batch();
+  snapshot.docs.forEach(doc => {
+    batch.update(doc.ref, { searchKeywords: buildSearchKeywords(doc.data()) });
+  });
+  await batch.commit();
+
+  updated += snapshot.size;
+  last = snapshot.docs[snapshot.docs.length - 1];
+}
+
+console.log(`Updated search keywords on ${updated} bookings.`);
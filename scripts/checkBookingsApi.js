@@ -0,0 +1,105 @@
+// Runs /api/bookings against the Firestore emulator: a booking is created
+// with its status lookup, an Application ID collision is retried with a
+// fresh ID, and a stay with no free room is refused. The Firestore
+// emulator needs Java.
+//
+//   npm run check:bookings
+import assert from 'node:assert/strict';
+import { mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error('FIRESTORE_EMULATOR_HOST is not set; run this through `npm run check:bookings`.');
+  process.exit(1);
+}
+
+// Submission emails go to a scratch folder instead of a provider
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_OUTBOX_DIR = await mkdtemp(path.join(tmpdir(), 'guesthouse-outbox-'));
+
+const { getAdminDb, bookingsCollection, statusLookupDoc } = await import('../api/_lib/firebaseAdmin.js');
+const { createBookingsHandler } = await import('../api/bookings.js');
+const { addDays } = await import('../src/lib/availability.js');
+const { todayInGuesthouseTz } = await import('../src/lib/dates.js');
+const { ROOMS } = await import('../src/lib/rooms.js');
+
+const db = getAdminDb();
+const checkIn = addDays(todayInGuesthouseTz(), 30);
+const checkOut = addDays(checkIn, 2);
+
+function application(email, dates = { checkIn, checkOut }) {
+  return {
+    name: 'Emulator Guest',
+    email,
+    phone: '9876543210',
+    address: 'Summer Hill, Shimla',
+    idProof: 'aadhar',
+    idNumber: '1234 5678 9012',
+    guestCount: 1,
+    purpose: 'official',
+    smsOptIn: false,
+    ...dates,
+  };
+}
+
+async function submit(handler, body) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+  };
+  await handler({ method: 'POST', headers: { 'x-forwarded-for': '203.0.113.1' }, body }, res);
+  return res;
+}
+
+async function bookingsFor(email) {
+  const snapshot = await bookingsCollection(db).where('email', '==', email).get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+// 1. A valid application is stored with its public status lookup
+{
+  const res = await submit(createBookingsHandler(), application('created@example.com'));
+  assert.equal(res.statusCode, 201, JSON.stringify(res.body));
+  const [booking] = await bookingsFor('created@example.com');
+  assert.equal(booking.applicationId, res.body.applicationId);
+  assert.equal(booking.status, 'Pending');
+  const lookup = await statusLookupDoc(db, res.body.applicationId).get();
+  assert.equal(lookup.data().status, 'Pending');
+  console.log('ok - creates the booking and its status lookup');
+}
+
+// 2. An Application ID that is already taken is retried with a new one,
+//    and the failed attempt leaves nothing behind
+{
+  await statusLookupDoc(db, 'HPU-TAKEN-00001').create({ status: 'Pending', checkIn });
+  const ids = ['HPU-TAKEN-00001', 'HPU-FRESH-00002'];
+  const res = await submit(createBookingsHandler({ generateId: () => ids.shift() }), application('collision@example.com'));
+  assert.equal(res.statusCode, 201, JSON.stringify(res.body));
+  assert.equal(res.body.applicationId, 'HPU-FRESH-00002');
+  const bookings = await bookingsFor('collision@example.com');
+  assert.deepEqual(bookings.map(booking => booking.applicationId), ['HPU-FRESH-00002']);
+  console.log('ok - retries an Application ID collision');
+}
+
+// 3. A stay on nights where every room is held is refused
+{
+  const fullFrom = addDays(checkIn, 10);
+  const fullTo = addDays(fullFrom, 3);
+  await bookingsCollection(db).add({
+    ...application('holder@example.com', { checkIn: fullFrom, checkOut: fullTo }),
+    status: 'Approved',
+    applicationId: 'HPU-FULL-00003',
+    roomIds: ROOMS.map(room => room.id),
+  });
+  const res = await submit(createBookingsHandler(), application('refused@example.com', { checkIn: addDays(fullFrom, 1), checkOut: fullTo }));
+  assert.equal(res.statusCode, 409, JSON.stringify(res.body));
+  assert.deepEqual(await bookingsFor('refused@example.com'), []);
+  console.log('ok - refuses a stay with no free room');
+}
+
+await db.terminate();
+console.log('All booking API checks passed.');
@@ -9,17 +9,25 @@ import {
 import { 
   getFirestore, 
   collection, 
-  addDoc, 
   doc, 
   getDoc, 
-  query, 
-  where, 
-  getDocs, 
   onSnapshot,
   updateDoc,
+  setDoc,
+  addDoc,
+  deleteDoc,
   setLogLevel,
   writeBatch, // Import writeBatch
-  setDoc      // Import setDoc
+  query,
+  where,
+  orderBy,
+  limit,
+  getDocs,
+  getCountFromServer,
+  startAfter,
+  serverTimestamp,
+  deleteField,
+  Timestamp
 } from "firebase/firestore";
 import { 
   Home, 
@@ -38,13 +46,53 @@ import {
   Phone,
   ArrowRight,
   ShieldCheck,
+  AlertTriangle,
+  BedDouble,
   Calendar,
   Users,
   Key,
   Info,
   List,
-  Grid
+  Grid,
+  RefreshCw,
+  History,
+  ClipboardList,
+  ChevronUp,
+  ChevronDown,
+  ChevronLeft,
+  ChevronRight,
+  CalendarDays,
+  Download,
+  FileText,
+  Printer,
+  TrendingUp,
+  XCircle,
+  DoorOpen,
+  Receipt,
+  UtensilsCrossed,
+  Star,
+  Quote,
+  MessageSquare
 } from 'lucide-react';
+import { OCCUPYING_STATUSES, STAYED_STATUSES, addDays, availabilityLevel, blockedDateReason, checkAvailability, eachNight, lastCheckOut, getFreeRooms, getNightlyAvailability, roomsCapacity } from './lib/availability.js';
+import { ROOMS, ROOM_TYPES } from './lib/rooms.js';
+import { validateBooking, ID_PROOF_TYPES, PURPOSES, MIN_GUESTS, MAX_GUESTS, MAX_NIGHTS } from './lib/bookingValidation.js';
+import { todayInGuesthouseTz } from './lib/dates.js';
+import { createNotifications, NOTIFICATION_STATUS } from './lib/notifications.js';
+import { ROLES, ROLE_LABELS, canManageBookings, canManageAdmins } from './lib/roles.js';
+import { createAuditEntry, ACTOR_TYPES } from './lib/audit.js';
+import { BOOKING_STATES, BOOKING_STATUSES, FINAL_STATES, ROOM_HOLDING_STATES, actionLabel, canTransition, getTransition, nextStates, transitionError } from './lib/bookingLifecycle.js';
+import { diffBooking } from './lib/bookingChanges.js';
+import { DECISION_REASONS, MAX_REASON_LENGTH, reasonRequired, composeReason } from './lib/decisionReasons.js';
+import { normalizeSearchTerm } from './lib/bookingSearch.js';
+import { calendarRange, daysBetween, layoutWeek, shiftMonth } from './lib/calendar.js';
+import { BOOKING_EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, bookingExportRows, bookingsToCsv } from './lib/bookingExport.js';
+import { arrivalsAndDepartures, monthRange, monthlyOccupancy, purposeBreakdown, receptionLists } from './lib/reports.js';
+import { stayMetrics, decisionHours } from './lib/bookingMetrics.js';
+import { ANALYTICS_MAX_DAYS } from './lib/analytics.js';
+import { FOOD_CATEGORIES, MAX_FOOD_NAME_LENGTH, MAX_MEAL_QUANTITY, MEAL_SLOTS, mealCharges, validateFoodItem } from './lib/food.js';
+import { FEEDBACK_ASPECTS, MAX_COMMENT_LENGTH, MAX_RATING, feedbackAverages, monthlyAverages, validateFeedback } from './lib/feedback.js';
+import { DEFAULT_TARIFF, PAYMENT_METHODS, PAYMENT_STATUSES, TARIFF_CATEGORIES, categoryPurposes, estimateCharge, validateTariff, withDefaults } from './lib/billing.js';
 
 // --- Global App Config ---
 const APP_TITLE = "University Guest House";
@@ -68,8 +116,17 @@ let app;
 let auth;
 let db;
 let bookingsCollectionRef;
+let notificationsCollectionRef;
+let auditLogCollectionRef;
+let tariffDocRef;
+let invoicesCollectionRef;
+let foodItemsCollectionRef;
+let mealsCollectionRef;
+let feedbackCollectionRef;
+let testimonialsCollectionRef;
 
 // App ID setup for Firestore paths
+/* global __app_id */
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'guesthouse-portal';
 
 try {
@@ -77,8 +134,22 @@ try {
   auth = getAuth(app);
   db = getFirestore(app);
   setLogLevel('debug'); // Optional: for detailed Firestore logs in console
-  // Path for all bookings (publicly readable for status check, writable)
+  // Path for all bookings (read by admins; new bookings are written by /api/bookings)
   bookingsCollectionRef = collection(db, `artifacts/${appId}/public/data/bookings`);
+  // Outbox of guest emails, delivered and retried by /api/notifications
+  notificationsCollectionRef = collection(db, `artifacts/${appId}/public/data/notifications`);
+  // Append-only history of every booking status change
+  auditLogCollectionRef = collection(db, `artifacts/${appId}/public/data/auditLog`);
+  // Room rates and taxes, edited by super admins in Settings
+  tariffDocRef = doc(db, `artifacts/${appId}/public/data/settings/tariff`);
+  // Issued at check-out by /api/invoices
+  invoicesCollectionRef = collection(db, `artifacts/${appId}/public/data/invoices`);
+  // The mess menu, public; and meals served to checked-in guests
+  foodItemsCollectionRef = collection(db, `artifacts/${appId}/public/data/foodItems`);
+  mealsCollectionRef = collection(db, `artifacts/${appId}/public/data/meals`);
+  // Guest feedback (written by /api/feedback) and its public, published subset
+  feedbackCollectionRef = collection(db, `artifacts/${appId}/public/data/feedback`);
+  testimonialsCollectionRef = collection(db, `artifacts/${appId}/public/data/testimonials`);
 } catch (error) {
   console.error("Error initializing Firebase:", error);
   // You could show a full-page error component here
@@ -138,12 +209,191 @@ function useAuth() {
   return { user, loading };
 }
 
+/**
+ * Custom hook to listen to the signed-in user's admin profile
+ * (artifacts/{appId}/admins/{uid}), which holds their role.
+ * `profile` is null when the account has no enabled admin profile.
+ */
+function useAdminProfile(user) {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(Boolean(user));
+
+  useEffect(() => {
+    if (!user || !db) {
+      setProfile(null);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    const profileRef = doc(db, `artifacts/${appId}/admins`, user.uid);
+    const unsubscribe = onSnapshot(profileRef, (docSnap) => {
+      const data = docSnap.exists() ? docSnap.data() : null;
+      setProfile(data && !data.disabled ? data : null);
+      setLoading(false);
+    }, (err) => {
+      console.error("Failed to load admin profile:", err);
+      setProfile(null);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  return { profile, loading };
+}
+
+/**
+ * Custom hook to fetch room availability for a date range.
+ * Returns null until both dates form a valid range.
+ */
+function useAvailability(checkIn, checkOut, guestCount) {
+  const [availability, setAvailability] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  useEffect(() => {
+    if (!checkIn || !checkOut || checkOut <= checkIn) {
+      setAvailability(null);
+      return;
+    }
+    let ignore = false;
+    setIsChecking(true);
+    const params = new URLSearchParams({ from: checkIn, to: checkOut, guests: guestCount || '1' });
+    fetch(`/api/availability?${params}`)
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+      .then(data => { if (!ignore) setAvailability(data); })
+      .catch(err => {
+        // Availability is advisory; admins still check it on approval
+        console.error("Failed to fetch availability:", err);
+        if (!ignore) setAvailability(null);
+      })
+      .finally(() => { if (!ignore) setIsChecking(false); });
+
+    return () => { ignore = true; };
+  }, [checkIn, checkOut, guestCount]);
+
+  return { availability, isChecking };
+}
+
+/**
+ * Custom hook for the public availability calendar: free rooms per night
+ * from today for AVAILABILITY_CALENDAR_DAYS. Only room counts come back
+ * from /api/availability, never guest details.
+ */
+function useAvailabilityCalendar() {
+  const [nights, setNights] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const from = todayInGuesthouseTz();
+    const params = new URLSearchParams({ from, to: addDays(from, AVAILABILITY_CALENDAR_DAYS) });
+    fetch(`/api/availability?${params}`)
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+      .then(data => setNights(data.nights))
+      .catch(err => {
+        console.error("Failed to load the availability calendar:", err);
+        setError("The availability calendar could not be loaded. You can still pick your dates below.");
+      });
+  }, []);
+
+  return { nights, error };
+}
+
+/**
+ * Custom hook for the current tariff, kept live so estimates follow a
+ * super admin's edits. DEFAULT_TARIFF applies until one is saved.
+ */
+function useTariff() {
+  const [tariff, setTariff] = useState(DEFAULT_TARIFF);
+
+  useEffect(() => {
+    if (!tariffDocRef) return;
+    return onSnapshot(
+      tariffDocRef,
+      (snapshot) => setTariff(withDefaults(snapshot.data())),
+      (err) => console.error("Failed to load the tariff:", err)
+    );
+  }, []);
+
+  return tariff;
+}
+
+/**
+ * Custom hook for the mess catalogue, sorted by category and name. The
+ * public Food page and the meal form only want items currently served.
+ */
+function useFoodItems({ availableOnly = false } = {}) {
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!foodItemsCollectionRef) return;
+    const constraints = availableOnly ? [where('available', '==', true)] : [];
+    return onSnapshot(
+      query(foodItemsCollectionRef, ...constraints),
+      (snapshot) => {
+        const categories = Object.keys(FOOD_CATEGORIES);
+        setItems(snapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => categories.indexOf(a.category) - categories.indexOf(b.category) || a.name.localeCompare(b.name)));
+      },
+      (err) => {
+        console.error(err);
+        setError("The menu could not be loaded. Please try again later.");
+      }
+    );
+  }, [availableOnly]);
+
+  return { items, error };
+}
+
+/**
+ * Custom hook for one page of the admin bookings table, kept live with
+ * onSnapshot. `cursor` is the last document of the previous page.
+ */
+function useBookingsPage(filters, sort, cursor) {
+  const [page, setPage] = useState({ bookings: [], lastDoc: null, hasMore: false, isLoading: true, error: null });
+
+  useEffect(() => {
+    if (!bookingsCollectionRef) {
+      setPage(prev => ({ ...prev, isLoading: false, error: "Firestore is not initialized." }));
+      return;
+    }
+    setPage(prev => ({ ...prev, isLoading: true, error: null }));
+    // One extra document tells us whether there is a next page
+    const pageQuery = query(
+      bookingsCollectionRef,
+      ...bookingQueryConstraints(filters, sort),
+      ...(cursor ? [startAfter(cursor)] : []),
+      limit(BOOKINGS_PAGE_SIZE + 1)
+    );
+    const unsubscribe = onSnapshot(pageQuery, (snapshot) => {
+      const docs = snapshot.docs.slice(0, BOOKINGS_PAGE_SIZE);
+      setPage({
+        bookings: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        lastDoc: docs[docs.length - 1] || null,
+        hasMore: snapshot.size > BOOKINGS_PAGE_SIZE,
+        isLoading: false,
+        error: null,
+      });
+    }, (err) => {
+      console.error(err);
+      setPage(prev => ({ ...prev, isLoading: false, error: "Failed to load bookings. Check Firestore security rules and indexes." }));
+    });
+
+    return () => unsubscribe();
+  }, [filters, sort, cursor]);
+
+  return page;
+}
+
 // --- Main App Component ---
 
 export default function App() {
   const { theme, toggleTheme } = useTheme();
   const { user: adminUser, loading: authLoading } = useAuth();
-  const [currentPage, setCurrentPage] = useState('home');
+  const { profile: adminProfile, loading: profileLoading } = useAdminProfile(adminUser);
+  // Feedback links from the post-stay email open the Feedback page
+  const [currentPage, setCurrentPage] = useState(() => new URLSearchParams(window.location.search).has('feedback') ? 'feedback' : 'home');
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
   // Simple navigation handler
@@ -153,16 +403,20 @@ export default function App() {
     window.scrollTo(0, 0); // Scroll to top on page change
   };
 
-  // Show a loading screen while auth state is being determined
-  if (authLoading) {
+  // Show a loading screen while auth state and the admin role are being determined
+  if (authLoading || profileLoading) {
     return <FullScreenLoader />;
   }
 
-  // Admin routing: If user is logged in, show Admin panel
+  // Admin routing: signed-in users need an enabled admin profile
+  if (adminUser && !adminProfile) {
+    return <AccessDenied user={adminUser} onLogout={() => signOut(auth)} />;
+  }
   if (adminUser) {
     return (
       <AdminDashboard 
         user={adminUser} 
+        role={adminProfile.role}
         onLogout={() => signOut(auth)} 
         theme={theme}
         toggleTheme={toggleTheme}
@@ -183,15 +437,16 @@ export default function App() {
       
       <main className="pt-20">
         {currentPage === 'home' && <HomePage navigate={navigate} />}
-        {currentPage === 'apply' && <BookingForm navigate={navigate} />}
+        {currentPage === 'apply' && <BookingForm />}
         {currentPage === 'status' && <BookingStatus />}
+        {currentPage === 'modify' && <ModifyBooking />}
         {currentPage === 'cancel' && <CancelBooking />}
         {currentPage === 'adminLogin' && <AdminLogin onLoginSuccess={() => navigate('home')} />}
         {/* Add placeholders for other pages from screenshot */}
         {currentPage === 'amenities' && <ComingSoonPage title="Amenities" />}
         {currentPage === 'gallery' && <ComingSoonPage title="Gallery" />}
-        {currentPage === 'food' && <ComingSoonPage title="Food Items Rate" />}
-        {currentPage === 'feedback' && <ComingSoonPage title="Feedback" />}
+        {currentPage === 'food' && <FoodPage />}
+        {currentPage === 'feedback' && <FeedbackPage />}
       </main>
       
       <Footer navigate={navigate} />
@@ -206,6 +461,7 @@ function Header({ navigate, theme, toggleTheme, isMobileMenuOpen, setIsMobileMen
     { name: 'Home', page: 'home', icon: Home },
     { name: 'Apply for Booking', page: 'apply', icon: CheckSquare },
     { name: 'Check Booking Status', page: 'status', icon: Search },
+    { name: 'Modify Booking', page: 'modify', icon: RefreshCw },
     { name: 'Cancel Booking', page: 'cancel', icon: X },
     { name: 'Amenities', page: 'amenities', icon: Grid },
     { name: 'Gallery', page: 'gallery', icon: Info },
@@ -460,6 +716,8 @@ function HomePage({ navigate }) {
         </div>
       </section>
 
+      <Testimonials />
+
       {/* About Us & Amenities Section (from screenshot) */}
       <section className="bg-gray-50 dark:bg-gray-800 py-20 px-4 sm:px-6 lg:px-8">
         <div className="max-w-6xl mx-auto grid grid-cols-1 lg:grid-cols-2 gap-16 items-center">
@@ -567,11 +825,51 @@ function AmenityItem({ children }) {
   );
 }
 
+const TESTIMONIALS_SHOWN = 3;
+
+/**
+ * Testimonials Component
+ * Guest comments an admin published from the Feedback inbox. Renders
+ * nothing until there are some.
+ */
+function Testimonials() {
+  const [testimonials, setTestimonials] = useState([]);
+
+  useEffect(() => {
+    if (!testimonialsCollectionRef) return;
+    getDocs(query(testimonialsCollectionRef, orderBy('publishedAt', 'desc'), limit(TESTIMONIALS_SHOWN)))
+      .then(snapshot => setTestimonials(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))))
+      .catch(err => console.error("Failed to load testimonials:", err));
+  }, []);
+
+  if (testimonials.length === 0) return null;
+
+  return (
+    <section className="max-w-6xl mx-auto py-20 px-4 sm:px-6 lg:px-8">
+      <h2 className="text-3xl font-bold text-center text-gray-800 dark:text-white mb-12">What Our Guests Say</h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+        {testimonials.map(testimonial => (
+          <figure key={testimonial.id} className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+            <Quote size={24} className="text-blue-600 dark:text-blue-400 mb-4" />
+            <blockquote className="text-gray-700 dark:text-gray-300 mb-4">{testimonial.quote}</blockquote>
+            <figcaption className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-900 dark:text-white">
+                {testimonial.name}, {new Date(`${testimonial.stayMonth}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+              </span>
+              <StarRating value={testimonial.rating} size={16} />
+            </figcaption>
+          </figure>
+        ))}
+      </div>
+    </section>
+  );
+}
+
 /**
  * BookingForm Component
  * Renders the form for submitting a new booking.
  */
-function BookingForm({ navigate }) {
+function BookingForm() {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -582,15 +880,41 @@ function BookingForm({ navigate }) {
     checkIn: '',
     checkOut: '',
     guestCount: '1',
-    purpose: 'official'
+    purpose: 'official',
+    smsOptIn: false
   });
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const { availability, isChecking } = useAvailability(formData.checkIn, formData.checkOut, formData.guestCount);
+  const calendar = useAvailabilityCalendar();
+  const [dateErrors, setDateErrors] = useState({});
+  const today = todayInGuesthouseTz();
 
   const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Typed dates get the same check as the calendar: a fully booked date
+  // is refused on the spot instead of after the whole form is filled in
+  const handleDateChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
+    const reason = value && blockedDateReason(calendar.nights, name, value, formData.checkIn);
+    if (reason) {
+      setDateErrors({ [name]: reason });
+      return;
+    }
+    const next = { ...formData, [name]: value };
+    const checkOutReason = name === 'checkIn' && next.checkOut && blockedDateReason(calendar.nights, 'checkOut', next.checkOut, value);
+    if (checkOutReason) next.checkOut = '';
+    setDateErrors(checkOutReason ? { checkOut: checkOutReason } : {});
+    setFormData(next);
+  };
+
+  const handleCalendarSelect = (dates) => {
+    setDateErrors({});
+    setFormData(prev => ({ ...prev, ...dates }));
   };
 
   const handleSubmit = async (e) => {
@@ -599,67 +923,40 @@ function BookingForm({ navigate }) {
     setError(null);
     setSuccess(null);
 
-    // Basic validation
-    if (new Date(formData.checkOut) <= new Date(formData.checkIn)) {
-      setError("Check-out date must be after check-in date.");
+    // Same checks the server runs, so most mistakes never leave the browser
+    const { errors } = validateBooking(formData, { today: todayInGuesthouseTz() });
+    if (Object.keys(errors).length) {
+      setError(Object.values(errors).join(' '));
+      setIsLoading(false);
+      return;
+    }
+    if (availability && !availability.available) {
+      setError("No rooms are available for your party on the selected dates. Please choose different dates.");
       setIsLoading(false);
       return;
     }
 
     try {
-      const applicationId = generateApplicationId();
-      // This 'data' object MUST match the firestore.rules
-      const data = {
-        name: formData.name,
-        email: formData.email,
-        phone: formData.phone,
-        address: formData.address,
-        idProof: formData.idProof,
-        idNumber: formData.idNumber,
-        checkIn: formData.checkIn,
-        checkOut: formData.checkOut,
-        guestCount: parseInt(formData.guestCount, 10),
-        purpose: formData.purpose,
-        status: "Pending",
-        applicationId: applicationId,
-        submittedAt: new Date().toISOString()
-      };
-
-      // --- Batched Write ---
-      // This is an atomic operation: both writes succeed or both fail.
-      const batch = writeBatch(db);
-
-      // 1. Set the private booking document
-      const bookingDocRef = doc(bookingsCollectionRef); // Creates a new doc ref
-      batch.set(bookingDocRef, data);
-
-      // 2. Set the public, non-sensitive status lookup document
-      const statusLookupRef = doc(db, `artifacts/${appId}/public/data/statusLookup`, data.applicationId);
-      batch.set(statusLookupRef, {
-        status: "Pending",
-        checkIn: data.checkIn
+      // The server validates again, generates the Application ID, writes
+      // the booking and its statusLookup doc and emails the guest
+      const response = await fetch('/api/bookings', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(formData),
       });
+      const res = await response.json();
+      if (!response.ok) {
+        throw new Error(res.errors ? Object.values(res.errors).join(' ') : res.message);
+      }
 
-      // Commit the batch
-      await batch.commit();
-      
-      // --- End Batched Write ---
-
-      setSuccess(`Your application has been submitted! Your Application ID is: ${applicationId}. Please save this for future reference.`);
-      
-      // Send email notification
-      sendEmailNotification(data.email, 'booking_submitted', {
-        name: data.name,
-        applicationId: data.applicationId,
-        checkIn: data.checkIn
-      });
+      setSuccess(`Your application has been submitted! Your Application ID is: ${res.applicationId} and your Cancellation Token is: ${res.cancelToken}. Please save both for future reference; you will need them to change or cancel your booking.`);
       
       setFormData({
         name: '', email: '', phone: '', address: '', idProof: 'aadhar',
-        idNumber: '', checkIn: '', checkOut: '', guestCount: '1', purpose: 'official'
+        idNumber: '', checkIn: '', checkOut: '', guestCount: '1', purpose: 'official', smsOptIn: false
       });
-      // Optionally navigate away after a delay
-      // setTimeout(() => navigate('home'), 5000);
 
     } catch (err) {
       console.error(err);
@@ -691,35 +988,42 @@ function BookingForm({ navigate }) {
                   name="idProof"
                   value={formData.idProof}
                   onChange={handleChange}
-                  options={[
-                    { value: 'aadhar', label: 'Aadhar Card' },
-                    { value: 'passport', label: 'Passport' },
-                    { value: 'driving_license', label: 'Driving License' },
-                    { value: 'voter_id', label: 'Voter ID' },
-                  ]}
+                  options={Object.entries(ID_PROOF_TYPES).map(([value, { label }]) => ({ value, label }))}
                 />
-                <FormInput label="ID Number" name="idNumber" value={formData.idNumber} onChange={handleChange} required />
+                <FormInput label="ID Number" name="idNumber" value={formData.idNumber} onChange={handleChange} placeholder={ID_PROOF_TYPES[formData.idProof]?.example} required />
               </div>
+              <FormCheckbox
+                label="Also send me booking updates by SMS on this number"
+                name="smsOptIn"
+                checked={formData.smsOptIn}
+                onChange={handleChange}
+              />
             </FormSection>
 
             <FormSection title="Booking Details">
+              {calendar.error ? (
+                <p className="mb-6 text-sm text-gray-500 dark:text-gray-400">{calendar.error}</p>
+              ) : (
+                <AvailabilityCalendar
+                  nights={calendar.nights}
+                  checkIn={formData.checkIn}
+                  checkOut={formData.checkOut}
+                  onSelect={handleCalendarSelect}
+                />
+              )}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <FormInput label="Check-in Date" name="checkIn" type="date" value={formData.checkIn} onChange={handleChange} required />
-                <FormInput label="Check-out Date" name="checkOut" type="date" value={formData.checkOut} onChange={handleChange} required />
-                <FormInput label="Number of Guests" name="guestCount" type="number" min="1" max="10" value={formData.guestCount} onChange={handleChange} required />
+                <FormInput label="Check-in Date" name="checkIn" type="date" min={today} value={formData.checkIn} onChange={handleDateChange} error={dateErrors.checkIn} required />
+                <FormInput label="Check-out Date" name="checkOut" type="date" min={formData.checkIn || today} value={formData.checkOut} onChange={handleDateChange} error={dateErrors.checkOut} required />
+                <FormInput label="Number of Guests" name="guestCount" type="number" min={MIN_GUESTS} max={MAX_GUESTS} value={formData.guestCount} onChange={handleChange} required />
                 <FormSelect
                   label="Purpose of Visit"
                   name="purpose"
                   value={formData.purpose}
                   onChange={handleChange}
-                  options={[
-                    { value: 'official', label: 'Official' },
-                    { value: 'personal', label: 'Personal' },
-                    { value: 'event', label: 'Event/Conference' },
-                    { value: 'other', label: 'Other' },
-                  ]}
+                  options={Object.entries(PURPOSES).map(([value, label]) => ({ value, label }))}
                 />
               </div>
+              <AvailabilityNotice availability={availability} isChecking={isChecking} />
             </FormSection>
 
             <div className="pt-6 text-center">
@@ -745,6 +1049,133 @@ function BookingForm({ navigate }) {
   );
 }
 
+// How far ahead the public calendar shows; /api/availability allows up to 366 nights
+const AVAILABILITY_CALENDAR_DAYS = 365;
+
+const AVAILABILITY_LEVEL_CLASSES = {
+  available: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100',
+  limited: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100',
+  full: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100 line-through',
+};
+
+/**
+ * AvailabilityCalendar Component
+ * Month view of how busy the guest house is, for guests choosing dates.
+ * It doubles as the date picker: the first click picks check-in, the
+ * second check-out. Fully booked nights can't be picked, and neither can
+ * a check-out beyond the next full night.
+ */
+function AvailabilityCalendar({ nights, checkIn, checkOut, onSelect }) {
+  const today = todayInGuesthouseTz();
+  const [month, setMonth] = useState(shiftMonth(checkIn || today, 0));
+  const byDate = new Map(nights.map(night => [night.date, night]));
+  const { from, to } = calendarRange('month', month);
+  const lastDay = nights.length ? addDays(nights[nights.length - 1].date, 1) : today;
+
+  // After check-in is picked, later days are check-out candidates
+  const pickingCheckOut = Boolean(checkIn && !checkOut);
+  const checkOutLimit = pickingCheckOut
+    ? [lastCheckOut(nights, checkIn), addDays(checkIn, MAX_NIGHTS)].filter(Boolean).sort()[0]
+    : null;
+  const canPick = (date) => {
+    if (pickingCheckOut && date > checkIn) return date <= checkOutLimit;
+    const night = byDate.get(date);
+    return Boolean(night) && availabilityLevel(night) !== 'full';
+  };
+  const handlePick = (date) => {
+    if (pickingCheckOut && date > checkIn) onSelect({ checkIn, checkOut: date });
+    else onSelect({ checkIn: date, checkOut: '' });
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <button
+          type="button"
+          onClick={() => setMonth(shiftMonth(month, -1))}
+          disabled={month <= today}
+          className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30"
+        >
+          <ChevronLeft size={20} />
+        </button>
+        <span className="font-medium text-gray-800 dark:text-gray-200">
+          {new Date(`${month}T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+        </span>
+        <button
+          type="button"
+          onClick={() => setMonth(shiftMonth(month, 1))}
+          disabled={shiftMonth(month, 1) >= lastDay}
+          className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30"
+        >
+          <ChevronRight size={20} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => (
+          <div key={day} className="py-1 font-medium text-gray-500 dark:text-gray-400">{day}</div>
+        ))}
+        {eachNight(from, to).map(date => {
+          const night = byDate.get(date);
+          const inStay = checkIn && date >= checkIn && date < (checkOut || addDays(checkIn, 1));
+          const isEdge = date === checkIn || date === checkOut;
+          return (
+            <button
+              key={date}
+              type="button"
+              onClick={() => handlePick(date)}
+              disabled={!canPick(date)}
+              title={night ? `${night.freeRooms} of ${night.totalRooms} rooms free` : undefined}
+              className={`py-2 rounded-md text-sm disabled:cursor-not-allowed ${
+                night ? AVAILABILITY_LEVEL_CLASSES[availabilityLevel(night)] : 'text-gray-300 dark:text-gray-600'
+              } ${date.slice(0, 7) !== month.slice(0, 7) ? 'opacity-40' : ''} ${
+                isEdge ? 'ring-2 ring-blue-600' : inStay ? 'ring-1 ring-blue-400' : ''
+              }`}
+            >
+              {Number(date.slice(8))}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-4 text-xs text-gray-600 dark:text-gray-300">
+        <span className="flex items-center"><span className="w-3 h-3 mr-1 rounded bg-green-200 dark:bg-green-800" /> Available</span>
+        <span className="flex items-center"><span className="w-3 h-3 mr-1 rounded bg-yellow-200 dark:bg-yellow-800" /> Limited</span>
+        <span className="flex items-center"><span className="w-3 h-3 mr-1 rounded bg-red-200 dark:bg-red-800" /> Full</span>
+        <span>{pickingCheckOut ? 'Now pick your check-out date.' : 'Pick your check-in date.'}</span>
+      </div>
+    </div>
+  );
+}
+
+function AvailabilityNotice({ availability, isChecking }) {
+  if (isChecking) {
+    return (
+      <p className="mt-4 flex items-center text-sm text-gray-500 dark:text-gray-400">
+        <Spinner /> Checking room availability...
+      </p>
+    );
+  }
+  if (!availability) return null;
+
+  if (availability.available) {
+    const fewestFree = Math.min(...availability.nights.map(night => night.freeRooms));
+    return (
+      <p className="mt-4 flex items-center text-sm text-green-700 dark:text-green-300">
+        <ShieldCheck size={18} className="mr-2 flex-shrink-0" />
+        Rooms are available for your dates ({fewestFree} free on the busiest night).
+      </p>
+    );
+  }
+
+  return (
+    <p className="mt-4 flex items-center text-sm text-red-700 dark:text-red-300">
+      <AlertTriangle size={18} className="mr-2 flex-shrink-0" />
+      Fully booked for your party on: {availability.fullNights.join(', ')}.
+    </p>
+  );
+}
+
 /**
  * BookingStatus Component
  * Renders the page to check booking status.
@@ -823,14 +1254,18 @@ function BookingStatus() {
                 <StatusItem label="Application ID" value={booking.applicationId} />
                 <StatusItem label="Check-in Date" value={booking.checkIn} />
                 <StatusItem label="Status">
-                  <span className={`px-3 py-1 text-sm font-medium rounded-full ${
-                    booking.status === 'Pending' ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100' :
-                    booking.status === 'Approved' ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100' :
-                    'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100'
-                  }`}>
+                  <span className={`px-3 py-1 text-sm font-medium rounded-full ${getStatusBadgeClasses(booking.status)}`}>
                     {booking.status}
                   </span>
                 </StatusItem>
+                {booking.statusReason && (
+                  <div>
+                    <span className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                      {reasonRequired(booking.status) ? 'Reason' : 'Remarks'}
+                    </span>
+                    <p className="mt-1 text-base text-gray-900 dark:text-white">{booking.statusReason}</p>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -842,81 +1277,135 @@ function BookingStatus() {
 
 /**
  * CancelBooking Component
- * Placeholder for booking cancellation.
+ * Lets a guest withdraw their booking using the Application ID and the
+ * cancellation token they received on submission.
  */
 function CancelBooking() {
-  // Future implementation:
-  // 1. Search for booking by ID (similar to BookingStatus)
-  // 2. If found and status is "Pending" or "Approved", allow cancellation.
-  // 3. This would require an admin-like permission or a secure token.
-  // 4. For now, it's a "Coming Soon" page.
-  return <ComingSoonPage title="Cancel Booking" />;
-}
-
-/**
- * AdminLogin Component
- * Renders the login form for the admin.
- */
-function AdminLogin({ onLoginSuccess }) {
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
+  const [applicationId, setApplicationId] = useState('');
+  const [cancelToken, setCancelToken] = useState('');
+  const [booking, setBooking] = useState(null);
   const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
-  const handleLogin = async (e) => {
+  // Step 1: look up the public status so the guest can confirm the right booking
+  const handleFind = async (e) => {
     e.preventDefault();
     setIsLoading(true);
+    setBooking(null);
     setError(null);
+    setSuccess(null);
 
     try {
-      if (!auth) throw new Error("Firebase not initialized");
-      await signInWithEmailAndPassword(auth, email, password);
-      onLoginSuccess(); // Callback to App to change state
+      const docRef = doc(db, `artifacts/${appId}/public/data/statusLookup`, applicationId.trim());
+      const docSnap = await getDoc(docRef);
+
+      if (!docSnap.exists()) {
+        setError("No booking found with that Application ID. Please check the ID and try again.");
+      } else if (!canTransition(docSnap.data().status, BOOKING_STATES.CANCELLED, ACTOR_TYPES.GUEST)) {
+        setError(`This booking is already ${docSnap.data().status} and cannot be cancelled.`);
+      } else {
+        setBooking({ applicationId: docSnap.id, ...docSnap.data() });
+      }
     } catch (err) {
       console.error(err);
-      setError("Failed to login. Please check your email and password.");
+      setError("An error occurred while fetching your booking.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Step 2: the server checks the token and the check-in date, then cancels
+  const handleConfirm = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/cancelBooking', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ applicationId: booking.applicationId, cancelToken: cancelToken.trim() }),
+      });
+      const res = await response.json();
+      if (!response.ok) {
+        throw new Error(res.message || 'Cancellation request failed');
+      }
+
+      setSuccess(`Booking ${booking.applicationId} has been cancelled. A confirmation email is on its way.`);
+      setBooking(null);
+      setApplicationId('');
+      setCancelToken('');
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
     } finally {
       setIsLoading(false);
     }
   };
 
   return (
-    <div className="max-w-md mx-auto py-20 px-4 sm:px-6 lg:px-8">
+    <div className="max-w-2xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
       <div className="bg-white dark:bg-gray-800 shadow-xl rounded-2xl overflow-hidden">
         <div className="p-8">
-          <h2 className="text-3xl font-bold text-center text-blue-800 dark:text-blue-300 mb-8">Admin Login</h2>
-          
-          <form onSubmit={handleLogin} className="space-y-6">
-            <FormInput 
-              label="Email" 
-              name="email" 
-              type="email" 
-              value={email} 
-              onChange={(e) => setEmail(e.target.value)} 
-              required 
+          <h2 className="text-3xl font-bold text-center text-blue-800 dark:text-blue-300 mb-8">Cancel Booking</h2>
+
+          {error && <FormAlert type="error" message={error} />}
+          {success && <FormAlert type="success" message={success} />}
+
+          <form onSubmit={handleFind} className="space-y-6 mb-8">
+            <FormInput
+              label="Application ID"
+              name="applicationId"
+              value={applicationId}
+              onChange={(e) => { setApplicationId(e.target.value); setBooking(null); }}
+              required
             />
-            <FormInput 
-              label="Password" 
-              name="password" 
-              type="password" 
-              value={password} 
-              onChange={(e) => setPassword(e.target.value)} 
-              required 
+            <FormInput
+              label="Cancellation Token"
+              name="cancelToken"
+              value={cancelToken}
+              onChange={(e) => setCancelToken(e.target.value)}
+              autoComplete="off"
+              required
             />
-            
-            {error && <FormAlert type="error" message={error} />}
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full inline-flex justify-center items-center px-6 py-3 border border-transparent text-base font-medium rounded-lg shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all duration-200 disabled:opacity-50"
+            >
+              {isLoading && !booking ? <Spinner /> : <Search size={20} className="mr-2" />}
+              Find Booking
+            </button>
+          </form>
 
-            <div className="pt-6">
+          {booking && (
+            <div className="bg-gray-50 dark:bg-gray-700 p-6 rounded-lg shadow-inner">
+              <h3 className="text-2xl font-semibold text-gray-900 dark:text-white mb-4">Confirm Cancellation</h3>
+              <div className="space-y-3 mb-6">
+                <StatusItem label="Application ID" value={booking.applicationId} />
+                <StatusItem label="Check-in Date" value={booking.checkIn} />
+                <StatusItem label="Status">
+                  <span className={`px-3 py-1 text-sm font-medium rounded-full ${getStatusBadgeClasses(booking.status)}`}>
+                    {booking.status}
+                  </span>
+                </StatusItem>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+                Cancellation cannot be undone. Bookings can only be cancelled before the check-in date.
+              </p>
               <button
-                type="submit"
+                type="button"
+                onClick={handleConfirm}
                 disabled={isLoading}
-                className="w-full inline-flex justify-center items-center px-6 py-3 border border-transparent text-lg font-medium rounded-lg shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all duration-200 disabled:opacity-50"
+                className="w-full inline-flex justify-center items-center px-6 py-3 border border-transparent text-base font-medium rounded-lg shadow-sm text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-all duration-200 disabled:opacity-50"
               >
-                {isLoading ? <Spinner /> : <Key size={20} className="mr-2" />}
-                Sign In
+                {isLoading ? <Spinner /> : <X size={20} className="mr-2" />}
+                Cancel My Booking
               </button>
             </div>
-          </form>
+          )}
         </div>
       </div>
     </div>
@@ -924,229 +1413,3374 @@ function AdminLogin({ onLoginSuccess }) {
 }
 
 /**
- * AdminDashboard Component
- * Main panel for admin to manage bookings.
+ * ModifyBooking Component
+ * Lets a guest change the dates, party size or purpose of their booking
+ * using the Application ID and cancellation token. Changes to an
+ * approved booking send it back for approval.
  */
-function AdminDashboard({ user, onLogout, theme, toggleTheme }) {
-  const [bookings, setBookings] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+function ModifyBooking() {
+  const [credentials, setCredentials] = useState({ applicationId: '', cancelToken: '' });
+  const [booking, setBooking] = useState(null);
+  const [formData, setFormData] = useState(null);
   const [error, setError] = useState(null);
-  
-  // Real-time listener for bookings
-  useEffect(() => {
-    if (!bookingsCollectionRef) {
-      setError("Firestore is not initialized.");
-      setIsLoading(false);
-      return;
-    }
-    setIsLoading(true);
-    // onSnapshot listens for real-time updates
-    // This query will now work because the user is authenticated (admin)
-    const unsubscribe = onSnapshot(bookingsCollectionRef, (snapshot) => {
-      const bookingsData = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      // Sort by submittedAt, newest first
-      bookingsData.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
-      setBookings(bookingsData);
-      setIsLoading(false);
-    }, (err) => {
-      console.error(err);
-      setError("Failed to load bookings. Check Firestore security rules.");
-      setIsLoading(false);
+  const [success, setSuccess] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const request = async (method, body) => {
+    const response = await fetch('/api/modifyBooking', {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...credentials, ...body }),
     });
+    const res = await response.json();
+    if (!response.ok) {
+      throw new Error(res.errors ? Object.values(res.errors).join(' ') : res.message);
+    }
+    return res;
+  };
 
-    // Cleanup listener on component unmount
-    return () => unsubscribe();
-  }, []);
+  const handleCredentialsChange = (e) => {
+    setCredentials({ ...credentials, [e.target.name]: e.target.value });
+    setBooking(null);
+  };
 
-  const handleStatusChange = async (booking, newStatus) => {
-    if (!newStatus || newStatus === booking.status) return;
-    
-    try {
-      // Use a batched write to update both collections atomically
-      const batch = writeBatch(db);
+  // Step 1: the server checks the token and returns what can be changed
+  const handleFind = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setBooking(null);
+    setError(null);
+    setSuccess(null);
 
-      // 1. Update the private booking document
-      const bookingDocRef = doc(db, `artifacts/${appId}/public/data/bookings`, booking.id);
-      batch.update(bookingDocRef, { status: newStatus });
+    try {
+      const res = await request('POST');
+      setBooking(res.booking);
+      setFormData({ ...res.booking, guestCount: String(res.booking.guestCount) });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
-      // 2. Update the public status lookup document
-      const statusLookupRef = doc(db, `artifacts/${appId}/public/data/statusLookup`, booking.applicationId);
-      batch.update(statusLookupRef, { status: newStatus });
-      
-      // Commit the batch
-      await batch.commit();
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
 
-      // Send email notification
-      sendEmailNotification(booking.email, 
-        newStatus === 'Approved' ? 'booking_approved' : 'booking_rejected', 
-        {
-          name: booking.name,
-          applicationId: booking.applicationId,
-          checkIn: booking.checkIn
-        }
-      );
+  // Step 2: the server validates, checks availability and saves
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError(null);
 
+    try {
+      const { checkIn, checkOut, guestCount, purpose } = formData;
+      const res = await request('PATCH', { checkIn, checkOut, guestCount, purpose });
+      setSuccess(`${res.message}. We have emailed you a confirmation.`);
+      setBooking(null);
+      setCredentials({ applicationId: '', cancelToken: '' });
     } catch (err) {
-      console.error("Failed to update status: ", err);
-      // You could show an error toast to the admin here
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
     }
   };
 
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [isSidebarOpen, setIsSidebarOpen] = useState(true);
-  const [viewMode, setViewMode] = useState('list'); // 'list' or 'grid'
+  const changes = booking && formData ? diffBooking(booking, formData) : [];
 
-  const filteredBookings = bookings; // Add filter logic here later
+  return (
+    <div className="max-w-2xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+      <div className="bg-white dark:bg-gray-800 shadow-xl rounded-2xl overflow-hidden">
+        <div className="p-8">
+          <h2 className="text-3xl font-bold text-center text-blue-800 dark:text-blue-300 mb-8">Modify Booking</h2>
 
-  const stats = [
-    { name: 'Total Bookings', value: bookings.length, icon: Calendar },
-    { name: 'Pending', value: bookings.filter(b => b.status === 'Pending').length, icon: Users },
-    { name: 'Approved', value: bookings.filter(b => b.status === 'Approved').length, icon: ShieldCheck },
-  ];
+          {error && <FormAlert type="error" message={error} />}
+          {success && <FormAlert type="success" message={success} />}
 
-  return (
-    <div className="flex h-screen bg-gray-100 dark:bg-gray-900">
-      {/* Sidebar */}
-      <aside className={`relative ${isSidebarOpen ? 'w-64' : 'w-20'} bg-white dark:bg-gray-800 shadow-lg transition-all duration-300 hidden md:block`}>
-        <div className="flex items-center justify-between p-4 h-20 border-b dark:border-gray-700">
-          <span className={`font-bold text-xl text-blue-800 dark:text-blue-300 ${!isSidebarOpen && 'hidden'}`}>Admin</span>
-          <button onClick={() => setIsSidebarOpen(!isSidebarOpen)} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200">
-            {isSidebarOpen ? <X size={20} /> : <Menu size={20} />}
-          </button>
-        </div>
-        <nav className="flex-1 px-4 py-6 space-y-2">
-          <AdminNavItem icon={BarChart} label="Dashboard" isActive={activeTab === 'dashboard'} onClick={() => setActiveTab('dashboard')} isSidebarOpen={isSidebarOpen} />
-          <AdminNavItem icon={Settings} label="Settings" isActive={activeTab === 'settings'} onClick={() => setActiveTab('settings')} isSidebarOpen={isSidebarOpen} />
-          {/* Add more nav items here */}
-        </nav>
-        <div className="absolute bottom-0 left-0 w-full p-4 border-t dark:border-gray-700">
-          <AdminNavItem icon={LogOut} label="Logout" onClick={onLogout} isSidebarOpen={isSidebarOpen} />
+          <form onSubmit={handleFind} className="space-y-6 mb-8">
+            <FormInput label="Application ID" name="applicationId" value={credentials.applicationId} onChange={handleCredentialsChange} required />
+            <FormInput
+              label="Cancellation Token"
+              name="cancelToken"
+              value={credentials.cancelToken}
+              onChange={handleCredentialsChange}
+              autoComplete="off"
+              required
+            />
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full inline-flex justify-center items-center px-6 py-3 border border-transparent text-base font-medium rounded-lg shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all duration-200 disabled:opacity-50"
+            >
+              {isLoading && !booking ? <Spinner /> : <Search size={20} className="mr-2" />}
+              Find Booking
+            </button>
+          </form>
+
+          {booking && (
+            <form onSubmit={handleSave} className="bg-gray-50 dark:bg-gray-700 p-6 rounded-lg shadow-inner">
+              <h3 className="text-2xl font-semibold text-gray-900 dark:text-white mb-4">Change Your Stay</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                <FormInput label="Check-in Date" name="checkIn" type="date" value={formData.checkIn} onChange={handleChange} required />
+                <FormInput label="Check-out Date" name="checkOut" type="date" value={formData.checkOut} onChange={handleChange} required />
+                <FormInput label="Number of Guests" name="guestCount" type="number" min={MIN_GUESTS} max={MAX_GUESTS} value={formData.guestCount} onChange={handleChange} required />
+                <FormSelect
+                  label="Purpose of Visit"
+                  name="purpose"
+                  value={formData.purpose}
+                  onChange={handleChange}
+                  options={Object.entries(PURPOSES).map(([value, label]) => ({ value, label }))}
+                />
+              </div>
+              {booking.status === BOOKING_STATES.APPROVED && (
+                <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+                  Your booking is approved. Any change sends it back for approval and releases your assigned room until then.
+                </p>
+              )}
+              <button
+                type="submit"
+                disabled={isLoading || changes.length === 0}
+                className="w-full inline-flex justify-center items-center px-6 py-3 border border-transparent text-base font-medium rounded-lg shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isLoading ? <Spinner /> : <RefreshCw size={20} className="mr-2" />}
+                Submit Changes
+              </button>
+            </form>
+          )}
         </div>
-      </aside>
+      </div>
+    </div>
+  );
+}
 
-      {/* Main Content */}
-      <div className="flex-1 flex flex-col overflow-hidden">
-        {/* Top Header */}
-        <header className="flex items-center justify-between h-20 p-6 bg-white dark:bg-gray-800 border-b dark:border-gray-700">
-          <div>
-            <h1 className="text-2xl font-semibold text-gray-800 dark:text-gray-100">Welcome, Admin</h1>
-            <p className="text-sm text-gray-500 dark:text-gray-400">{user.email}</p>
-          </div>
-          <div className="flex items-center space-x-4">
-            <button onClick={toggleTheme} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200">
-              {theme === 'light' ? <Moon size={20} /> : <Sun size={20} />}
-            </button>
-            <button onClick={onLogout} className="md:hidden p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200">
-              <LogOut size={20} />
-            </button>
-          </div>
-        </header>
-        
-        {/* Page Content */}
-        <main className="flex-1 overflow-x-hidden overflow-y-auto p-6">
-          {activeTab === 'dashboard' && (
-            <div>
-              {/* Stats Cards */}
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
-                {stats.map(stat => (
-                  <div key={stat.name} className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg flex items-center space-x-4">
-                    <div className={`p-3 rounded-full ${
-                      stat.name === 'Total Bookings' ? 'bg-blue-100 text-blue-600 dark:bg-blue-900 dark:text-blue-300' :
-                      stat.name === 'Pending' ? 'bg-yellow-100 text-yellow-600 dark:bg-yellow-900 dark:text-yellow-300' :
-                      'bg-green-100 text-green-600 dark:bg-green-900 dark:text-green-300'
-                    }`}>
-                      <stat.icon size={24} />
-                    </div>
-                    <div>
-                      <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{stat.name}</p>
-                      <p className="text-3xl font-bold text-gray-900 dark:text-white">{stat.value}</p>
+/**
+ * FoodPage Component
+ * The mess menu with today's rates, grouped by category. Guests staying
+ * with us can have meals added to their room bill at the reception.
+ */
+function FoodPage() {
+  const { items, error } = useFoodItems({ availableOnly: true });
+
+  return (
+    <div className="max-w-4xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+      <div className="bg-white dark:bg-gray-800 shadow-xl rounded-2xl p-8">
+        <h2 className="text-3xl font-bold text-center text-blue-800 dark:text-blue-300 mb-2">Food Items Rate</h2>
+        <p className="text-center text-gray-600 dark:text-gray-400 mb-8">
+          The guest house mess serves resident guests. Meals can be added to your room bill and settled at check-out.
+        </p>
+        {error && <FormAlert type="error" message={error} />}
+        {!error && items.length === 0 && (
+          <p className="py-8 text-center text-gray-500 dark:text-gray-400">The menu will be published here soon.</p>
+        )}
+        {Object.entries(FOOD_CATEGORIES).map(([category, label]) => {
+          const inCategory = items.filter(item => item.category === category);
+          if (inCategory.length === 0) return null;
+          return (
+            <section key={category} className="mb-8">
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-3">{label}</h3>
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {inCategory.map(item => (
+                  <li key={item.id} className="flex items-center justify-between py-3">
+                    <div className="flex items-center">
+                      <VegMark isVeg={item.isVeg} />
+                      <div className="ml-3">
+                        <p className="font-medium text-gray-900 dark:text-white">{item.name}</p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{item.slots.map(slot => MEAL_SLOTS[slot]).join(' · ')}</p>
+                      </div>
                     </div>
-                  </div>
+                    <span className="font-semibold text-gray-900 dark:text-white">{formatCurrency(item.rate)}</span>
+                  </li>
                 ))}
-              </div>
+              </ul>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
 
-              {/* Bookings Table / Grid */}
-              <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
-                <div className="flex justify-between items-center mb-4">
-                  <h2 className="text-xl font-semibold text-gray-900 dark:text-white">All Bookings</h2>
-                  <div className="flex items-center space-x-2 p-1 bg-gray-100 dark:bg-gray-700 rounded-lg">
-                    <button 
-                      onClick={() => setViewMode('list')}
-                      className={`p-2 rounded-md ${viewMode === 'list' ? 'bg-white dark:bg-gray-800 shadow' : 'text-gray-500 dark:text-gray-400'}`}
-                    >
-                      <List size={20} />
-                    </button>
-                    <button 
-                      onClick={() => setViewMode('grid')}
-                      className={`p-2 rounded-md ${viewMode === 'grid' ? 'bg-white dark:bg-gray-800 shadow' : 'text-gray-500 dark:text-gray-400'}`}
-                    >
-                      <Grid size={20} />
-                    </button>
-                  </div>
-                </div>
+/**
+ * The green (veg) or red (non-veg) square used on Indian menus.
+ */
+function VegMark({ isVeg }) {
+  return (
+    <span
+      title={isVeg ? 'Vegetarian' : 'Non-vegetarian'}
+      className={`flex items-center justify-center w-4 h-4 border-2 ${isVeg ? 'border-green-600' : 'border-red-600'}`}
+    >
+      <span className={`w-2 h-2 rounded-full ${isVeg ? 'bg-green-600' : 'bg-red-600'}`} />
+    </span>
+  );
+}
 
-                {isLoading && <FullScreenLoader />}
-                {error && <FormAlert type="error" message={error} />}
-                
-                {!isLoading && !error && viewMode === 'list' && (
-                  <BookingList 
-                    bookings={filteredBookings} 
-                    onStatusChange={handleStatusChange} 
-                  />
-                )}
-                {!isLoading && !error && viewMode === 'grid' && (
-                  <BookingGrid 
-                    bookings={filteredBookings} 
-                    onStatusChange={handleStatusChange} 
+/**
+ * FeedbackPage Component
+ * Guests arrive here from the link emailed after check-out, which carries
+ * their Application ID and a one-time token. /api/feedback only accepts
+ * feedback for a completed stay, once.
+ */
+function FeedbackPage() {
+  const [link] = useState(() => {
+    const params = new URLSearchParams(window.location.search);
+    return { applicationId: params.get('feedback') || '', token: params.get('token') || '' };
+  });
+  const [form, setForm] = useState({ ratings: {}, comments: '', allowPublishing: false });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [status, setStatus] = useState(null); // { type, message }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus(null);
+    const { errors: found } = validateFeedback(form);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch('/api/feedback', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...link, ...form }),
+      });
+      const res = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setErrors(res.errors || {});
+        throw new Error(res.message || 'Your feedback could not be sent.');
+      }
+      // The link is used up; don't leave the token in the address bar
+      window.history.replaceState(null, '', window.location.pathname);
+      setStatus({ type: 'success', message: 'Thank you for your feedback! It helps us make every stay better.' });
+    } catch (err) {
+      console.error(err);
+      setStatus({ type: 'error', message: err.message });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const hasLink = Boolean(link.applicationId && link.token);
+  const isDone = status?.type === 'success';
+
+  return (
+    <div className="max-w-2xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+      <div className="bg-white dark:bg-gray-800 shadow-xl rounded-2xl p-8">
+        <h2 className="text-3xl font-bold text-center text-blue-800 dark:text-blue-300 mb-2">Feedback</h2>
+        {hasLink && !isDone && (
+          <p className="text-center text-gray-600 dark:text-gray-400 mb-8">How was your stay? (Booking {link.applicationId})</p>
+        )}
+        {status && <FormAlert type={status.type} message={status.message} />}
+
+        {!hasLink && (
+          <p className="text-center text-gray-600 dark:text-gray-400">
+            After you check out we email you a personal link to rate your stay. Please open the form from that email.
+          </p>
+        )}
+
+        {hasLink && !isDone && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {Object.entries(FEEDBACK_ASPECTS).map(([aspect, label]) => (
+              <div key={aspect}>
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{label}</span>
+                  <StarRating
+                    label={label}
+                    value={form.ratings[aspect] || 0}
+                    onChange={(rating) => setForm(prev => ({ ...prev, ratings: { ...prev.ratings, [aspect]: rating } }))}
                   />
-                )}
+                </div>
+                {errors[aspect] && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{errors[aspect]}</p>}
               </div>
+            ))}
+            <div>
+              <label htmlFor="comments" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Comments (optional)</label>
+              <textarea
+                id="comments"
+                name="comments"
+                rows={4}
+                maxLength={MAX_COMMENT_LENGTH}
+                value={form.comments}
+                onChange={(e) => setForm(prev => ({ ...prev, comments: e.target.value }))}
+                className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {errors.comments && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{errors.comments}</p>}
             </div>
-          )}
-          {activeTab === 'settings' && <ComingSoonPage title="Settings" />}
-        </main>
+            <FormCheckbox
+              label="You may show my comments and first name on the website"
+              name="allowPublishing"
+              checked={form.allowPublishing}
+              onChange={(e) => setForm(prev => ({ ...prev, allowPublishing: e.target.checked }))}
+            />
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSubmitting && <Spinner />}
+              Send Feedback
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * One to five stars; read-only without `onChange`.
+ */
+function StarRating({ label, value, onChange, size = 24 }) {
+  return (
+    <div className="flex" role={onChange ? 'radiogroup' : 'img'} aria-label={onChange ? label : `${value} out of ${MAX_RATING} stars`}>
+      {Array.from({ length: MAX_RATING }, (_, i) => i + 1).map(star => {
+        const icon = <Star size={size} className={star <= Math.round(value) ? 'text-yellow-400' : 'text-gray-300 dark:text-gray-600'} fill="currentColor" />;
+        return onChange ? (
+          <button
+            key={star}
+            type="button"
+            role="radio"
+            aria-checked={star === value}
+            aria-label={`${star} star${star > 1 ? 's' : ''}`}
+            onClick={() => onChange(star)}
+            className="p-0.5"
+          >
+            {icon}
+          </button>
+        ) : <span key={star}>{icon}</span>;
+      })}
+    </div>
+  );
+}
+
+/**
+ * AdminLogin Component
+ * Renders the login form for the admin.
+ */
+function AdminLogin({ onLoginSuccess }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      if (!auth) throw new Error("Firebase not initialized");
+      await signInWithEmailAndPassword(auth, email, password);
+      onLoginSuccess(); // Callback to App to change state
+    } catch (err) {
+      console.error(err);
+      setError("Failed to login. Please check your email and password.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto py-20 px-4 sm:px-6 lg:px-8">
+      <div className="bg-white dark:bg-gray-800 shadow-xl rounded-2xl overflow-hidden">
+        <div className="p-8">
+          <h2 className="text-3xl font-bold text-center text-blue-800 dark:text-blue-300 mb-8">Admin Login</h2>
+          
+          <form onSubmit={handleLogin} className="space-y-6">
+            <FormInput 
+              label="Email" 
+              name="email" 
+              type="email" 
+              value={email} 
+              onChange={(e) => setEmail(e.target.value)} 
+              required 
+            />
+            <FormInput 
+              label="Password" 
+              name="password" 
+              type="password" 
+              value={password} 
+              onChange={(e) => setPassword(e.target.value)} 
+              required 
+            />
+            
+            {error && <FormAlert type="error" message={error} />}
+
+            <div className="pt-6">
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full inline-flex justify-center items-center px-6 py-3 border border-transparent text-lg font-medium rounded-lg shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all duration-200 disabled:opacity-50"
+              >
+                {isLoading ? <Spinner /> : <Key size={20} className="mr-2" />}
+                Sign In
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * AccessDenied Component
+ * Shown to signed-in accounts without an (enabled) admin profile.
+ */
+function AccessDenied({ user, onLogout }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900 px-4">
+      <div className="max-w-md w-full bg-white dark:bg-gray-800 shadow-xl rounded-2xl p-8 text-center">
+        <AlertTriangle size={40} className="mx-auto mb-4 text-red-600 dark:text-red-400" />
+        <h2 className="text-2xl font-bold text-gray-800 dark:text-white mb-2">Access Denied</h2>
+        <p className="text-gray-600 dark:text-gray-300 mb-6">
+          {user.email} does not have admin access to the guest house portal. Please contact a super admin.
+        </p>
+        <button
+          onClick={onLogout}
+          className="inline-flex items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700"
+        >
+          <LogOut size={20} className="mr-2" />
+          Sign Out
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Page size also keeps the notifications 'in' query under Firestore's 30-value limit
+const BOOKINGS_PAGE_SIZE = 25;
+const EMPTY_BOOKING_FILTERS = { search: '', status: '', purpose: '', idProof: '', checkInFrom: '', checkInTo: '' };
+const DEFAULT_BOOKING_SORT = { field: 'submittedAt', direction: 'desc' };
+// Security rules may look up 20 documents per batch and each status change
+// reads its audit entry, so bulk changes are committed 15 bookings at a time
+const BULK_CHUNK_SIZE = 15;
+const BOOKING_SORT_OPTIONS = [
+  { value: 'submittedAt:desc', label: 'Newest first' },
+  { value: 'submittedAt:asc', label: 'Oldest first' },
+  { value: 'checkIn:asc', label: 'Check-in (earliest)' },
+  { value: 'checkIn:desc', label: 'Check-in (latest)' },
+  { value: 'name:asc', label: 'Name (A-Z)' },
+  { value: 'name:desc', label: 'Name (Z-A)' },
+];
+
+/**
+ * AdminDashboard Component
+ * Main panel for admin to manage bookings.
+ */
+function AdminDashboard({ user, role, onLogout, theme, toggleTheme }) {
+  const [filters, setFilters] = useState(EMPTY_BOOKING_FILTERS);
+  const [sort, setSort] = useState(DEFAULT_BOOKING_SORT);
+  const [pageCursors, setPageCursors] = useState([null]); // last document of each previous page
+  const { bookings, lastDoc, hasMore, isLoading, error } = useBookingsPage(filters, sort, pageCursors[pageCursors.length - 1]);
+  const [counts, setCounts] = useState({});
+  const [actionError, setActionError] = useState(null);
+  const [roomDialog, setRoomDialog] = useState(null); // { booking, mode: 'approve' | 'move', bookings }
+  const [notifications, setNotifications] = useState({}); // bookingId -> channel -> latest notification
+  const [historyBooking, setHistoryBooking] = useState(null);
+  const [reasonDialog, setReasonDialog] = useState(null); // { bookings, status, bulk }
+  const [selected, setSelected] = useState({}); // bookingId -> booking, kept across pages
+  const [bulkReport, setBulkReport] = useState(null); // { status, succeeded, failures: [{ booking, error }] }
+  const [isBulkRunning, setIsBulkRunning] = useState(false);
+  const [exportDialog, setExportDialog] = useState(null); // { title, loadBookings }
+  const tariff = useTariff();
+
+  // Prefer the live copy of a selected booking when it is on this page
+  const selectedBookings = Object.values(selected).map(booking => bookings.find(b => b.id === booking.id) || booking);
+  const [detailsBooking, setDetailsBooking] = useState(null);
+
+  // A check-in range needs the results ordered by check-in date
+  const hasDateRange = Boolean(filters.checkInFrom || filters.checkInTo);
+
+  const updateFilters = (changes) => {
+    const next = { ...filters, ...changes };
+    setFilters(next);
+    setPageCursors([null]);
+    if ((next.checkInFrom || next.checkInTo) && sort.field !== 'checkIn') {
+      setSort({ field: 'checkIn', direction: 'asc' });
+    }
+  };
+
+  const updateSort = (next) => {
+    if (hasDateRange && next.field !== 'checkIn') return;
+    setSort(next);
+    setPageCursors([null]);
+  };
+
+  // Counts come from aggregation queries, not from the loaded page. They
+  // are run again when a booking on the page arrives or changes status,
+  // not on every snapshot
+  const pageStatuses = bookings.map(booking => `${booking.id}:${booking.status}`).join(',');
+  useEffect(() => {
+    if (!bookingsCollectionRef) return;
+    const countOf = (...constraints) =>
+      getCountFromServer(query(bookingsCollectionRef, ...constraints)).then(snapshot => snapshot.data().count);
+    Promise.all([
+      countOf(),
+      countOf(where('status', '==', BOOKING_STATES.PENDING)),
+      countOf(where('status', '==', BOOKING_STATES.APPROVED)),
+      countOf(where('status', '==', BOOKING_STATES.REJECTED))
+    ])
+      .then(([total, pending, approved, rejected]) => setCounts({ total, pending, approved, rejected }))
+      .catch(err => console.error("Failed to count bookings:", err));
+  }, [pageStatuses]);
+
+  // Real-time listener for delivery status of the bookings on this page,
+  // latest one per booking and channel
+  const pageBookingIds = bookings.map(booking => booking.id).join(',');
+  useEffect(() => {
+    if (!notificationsCollectionRef || !pageBookingIds) {
+      setNotifications({});
+      return;
+    }
+    const pageQuery = query(notificationsCollectionRef, where('bookingId', 'in', pageBookingIds.split(',')));
+    const unsubscribe = onSnapshot(pageQuery, (snapshot) => {
+      const latest = {};
+      snapshot.docs.forEach(doc => {
+        const notification = { id: doc.id, channel: 'email', ...doc.data() };
+        const byChannel = latest[notification.bookingId] ??= {};
+        const current = byChannel[notification.channel];
+        if (!current || notification.createdAt > current.createdAt) {
+          byChannel[notification.channel] = notification;
+        }
+      });
+      setNotifications(latest);
+    }, (err) => {
+      console.error("Failed to load notifications:", err);
+    });
+
+    return () => unsubscribe();
+  }, [pageBookingIds]);
+
+  const handleStatusChange = async (booking, newStatus) => {
+    if (!newStatus || newStatus === booking.status) return;
+    setActionError(null);
+    if (!canTransition(booking.status, newStatus, ACTOR_TYPES.ADMIN)) {
+      setActionError(`${booking.applicationId}: ${transitionError(booking.status, newStatus)}.`);
+      return;
+    }
+
+    // Never approve more bookings than we have rooms for
+    if (getTransition(booking.status, newStatus)?.assignsRooms) {
+      let occupying;
+      try {
+        occupying = await loadOccupyingBookings(booking);
+      } catch (err) {
+        console.error(err);
+        setActionError(`Failed to check availability for ${booking.applicationId}: ${err.message}`);
+        return;
+      }
+      const { available, fullNights } = checkAvailability({
+        bookings: occupying,
+        checkIn: booking.checkIn,
+        checkOut: booking.checkOut,
+        guestCount: booking.guestCount,
+        excludeId: booking.id,
+      });
+      if (!available) {
+        setActionError(`Cannot approve ${booking.applicationId}: no room is free on ${fullNights.join(', ')}.`);
+        return;
+      }
+      // Approval continues once a room is picked in the RoomAssignmentDialog
+      setRoomDialog({ booking, mode: 'approve', bookings: occupying });
+      return;
+    }
+
+    // The guest is told why, so ask for the reason first
+    if (reasonRequired(newStatus)) {
+      setReasonDialog({ bookings: [booking], status: newStatus });
+      return;
+    }
+
+    await updateBookingStatus(booking, newStatus);
+  };
+
+  const updateBookingStatus = async (booking, newStatus, reason) => {
+    try {
+      // Use a batched write so the booking, its public mirror, the audit
+      // entry and the guest's email/SMS change together
+      const batch = writeBatch(db);
+      const notificationRefs = stageStatusChange(batch, booking, newStatus, { reason, actor: user });
+      await batch.commit();
+      requestDeliveries(notificationRefs);
+    } catch (err) {
+      console.error("Failed to update status: ", err);
+      setActionError(`Failed to update ${booking.applicationId}: ${err.message}`);
+    }
+  };
+
+  // Approving assigns rooms, so the server checks them against every other
+  // stay and approves in one transaction
+  const approveBooking = async (booking, roomIds, reason) => {
+    try {
+      const { failures } = await apiRequest('/api/roomAssignments', {
+        method: 'POST',
+        body: { approvals: [{ bookingId: booking.id, roomIds }], reason }
+      });
+      if (failures.length) {
+        setActionError(`Cannot approve ${booking.applicationId}: ${failures[0].error}.`);
+      }
+    } catch (err) {
+      console.error("Failed to approve booking: ", err);
+      setActionError(`Failed to approve ${booking.applicationId}: ${err.message}`);
+    }
+  };
+
+  const toggleSelected = (booking) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[booking.id]) delete next[booking.id];
+      else next[booking.id] = booking;
+      return next;
+    });
+  };
+
+  const toggleSelectedPage = () => {
+    const allSelected = bookings.every(booking => selected[booking.id]);
+    setSelected(prev => {
+      const next = { ...prev };
+      bookings.forEach(booking => {
+        if (allSelected) delete next[booking.id];
+        else next[booking.id] = booking;
+      });
+      return next;
+    });
+  };
+
+  const runBulkStatusChange = async (targets, newStatus, reason) => {
+    setIsBulkRunning(true);
+    setActionError(null);
+    setBulkReport(null);
+
+    const failures = [];
+    const eligible = targets.filter(booking => {
+      if (canTransition(booking.status, newStatus, ACTOR_TYPES.ADMIN)) return true;
+      failures.push({ booking, error: `is ${booking.status}` });
+      return false;
+    });
+
+    // Approvals go to the server, which picks rooms for each chunk in
+    // check-in order in one transaction, so a bulk approval never overbooks
+    const needRooms = eligible
+      .filter(booking => getTransition(booking.status, newStatus).assignsRooms)
+      .sort((a, b) => a.checkIn.localeCompare(b.checkIn));
+    const others = eligible.filter(booking => !needRooms.includes(booking));
+
+    // A failed chunk leaves the others in place; its bookings are reported
+    let succeeded = 0;
+    for (let i = 0; i < needRooms.length; i += BULK_CHUNK_SIZE) {
+      const chunk = needRooms.slice(i, i + BULK_CHUNK_SIZE);
+      try {
+        const { approved, failures: refused } = await apiRequest('/api/roomAssignments', {
+          method: 'POST',
+          body: { approvals: chunk.map(booking => ({ bookingId: booking.id })), reason }
+        });
+        succeeded += approved.length;
+        refused.forEach(({ bookingId, error }) => {
+          failures.push({ booking: chunk.find(booking => booking.id === bookingId), error });
+        });
+      } catch (err) {
+        console.error("Failed to apply bulk approval: ", err);
+        chunk.forEach(booking => failures.push({ booking, error: err.message }));
+      }
+    }
+    for (let i = 0; i < others.length; i += BULK_CHUNK_SIZE) {
+      const chunk = others.slice(i, i + BULK_CHUNK_SIZE);
+      const batch = writeBatch(db);
+      const notificationRefs = chunk.flatMap(booking =>
+        stageStatusChange(batch, booking, newStatus, { reason, actor: user })
+      );
+      try {
+        await batch.commit();
+        succeeded += chunk.length;
+        requestDeliveries(notificationRefs);
+      } catch (err) {
+        console.error("Failed to apply bulk change: ", err);
+        chunk.forEach(booking => failures.push({ booking, error: err.message }));
+      }
+    }
+
+    setBulkReport({ status: newStatus, succeeded, failures });
+    // Failed bookings stay selected so they can be retried
+    setSelected(Object.fromEntries(failures.map(({ booking }) => [booking.id, booking])));
+    setIsBulkRunning(false);
+  };
+
+  const handleBulkAction = (action) => {
+    if (action === 'export') {
+      const targets = selectedBookings;
+      setExportDialog({ title: `Export ${targets.length} selected booking(s)`, loadBookings: async () => targets });
+      return;
+    }
+    if (reasonRequired(action)) {
+      setReasonDialog({ bookings: selectedBookings, status: action, bulk: true });
+      return;
+    }
+    if (window.confirm(`Approve ${selectedBookings.length} booking(s)? Rooms are assigned automatically.`)) {
+      runBulkStatusChange(selectedBookings, action);
+    }
+  };
+
+  const handleIssueInvoice = async (booking) => {
+    setActionError(null);
+    try {
+      await apiRequest('/api/invoices', { method: 'POST', body: { bookingId: booking.id } });
+    } catch (err) {
+      setActionError(`Failed to issue the invoice for ${booking.applicationId}: ${err.message}`);
+    }
+  };
+
+  const handleResendNotification = async (notification) => {
+    setActionError(null);
+    try {
+      await requestNotificationDelivery(notification.id, { resend: true });
+    } catch (err) {
+      setActionError(`Failed to resend ${notification.channel} for ${notification.applicationId}: ${err.message}`);
+    }
+  };
+
+  // Moves an approved guest to other rooms; the status stays the same.
+  // The server checks the rooms are still free as it moves them
+  const updateRoomAssignment = async (booking, roomIds) => {
+    try {
+      await apiRequest('/api/roomAssignments', { method: 'PATCH', body: { bookingId: booking.id, roomIds } });
+    } catch (err) {
+      console.error("Failed to change room: ", err);
+      setActionError(`Failed to change room for ${booking.applicationId}: ${err.message}`);
+    }
+  };
+
+  const handleChangeRoom = async (booking) => {
+    setActionError(null);
+    try {
+      setRoomDialog({ booking, mode: 'move', bookings: await loadOccupyingBookings(booking) });
+    } catch (err) {
+      console.error(err);
+      setActionError(`Failed to load rooms for ${booking.applicationId}: ${err.message}`);
+    }
+  };
+
+  const handleRoomConfirm = async (roomIds, remarks) => {
+    const { booking, mode } = roomDialog;
+    setRoomDialog(null);
+    setActionError(null);
+    if (mode === 'approve') {
+      await approveBooking(booking, roomIds, remarks);
+    } else {
+      await updateRoomAssignment(booking, roomIds);
+    }
+  };
+
+  // Moves a stay to new dates from the calendar and tells the guest
+  const handleReschedule = async (booking, { checkIn, checkOut }) => {
+    if (checkIn === booking.checkIn && checkOut === booking.checkOut) return;
+    setActionError(null);
+    if (checkIn < todayInGuesthouseTz()) {
+      setActionError(`Cannot move ${booking.applicationId} into the past.`);
+      return;
+    }
+    if (daysBetween(checkIn, checkOut) > MAX_NIGHTS) {
+      setActionError(`Cannot extend ${booking.applicationId}: stays are limited to ${MAX_NIGHTS} nights.`);
+      return;
+    }
+
+    try {
+      // An approved guest keeps their rooms, so those must be free on the new dates
+      if (ROOM_HOLDING_STATES.includes(booking.status)) {
+        const occupying = await loadOccupyingBookings({ checkIn, checkOut });
+        if (booking.roomIds?.length) {
+          const free = getFreeRooms({ bookings: occupying, checkIn, checkOut, excludeId: booking.id }).map(room => room.id);
+          const taken = booking.roomIds.filter(roomId => !free.includes(roomId));
+          if (taken.length) {
+            setActionError(`Cannot move ${booking.applicationId}: room ${formatRoomIds(taken)} is taken on those dates. Change the room first.`);
+            return;
+          }
+        } else {
+          const { available, fullNights } = checkAvailability({
+            bookings: occupying, checkIn, checkOut, guestCount: booking.guestCount, excludeId: booking.id,
+          });
+          if (!available) {
+            setActionError(`Cannot move ${booking.applicationId}: no room is free on ${fullNights.join(', ')}.`);
+            return;
+          }
+        }
+      }
+
+      if (!window.confirm(`Move ${booking.applicationId} (${booking.name}) to ${checkIn} – ${checkOut}? The guest will be notified.`)) return;
+
+      const batch = writeBatch(db);
+      batch.update(doc(db, `artifacts/${appId}/public/data/bookings`, booking.id), {
+        checkIn,
+        checkOut,
+        ...stayMetrics({ checkIn, checkOut, submittedAt: booking.submittedAt })
+      });
+      batch.update(doc(db, `artifacts/${appId}/public/data/statusLookup`, booking.applicationId), { checkIn });
+      const notificationRefs = queueNotifications(batch, {
+        bookingId: booking.id,
+        booking,
+        template: 'booking_rescheduled',
+        params: { name: booking.name, applicationId: booking.applicationId, checkIn, checkOut }
+      });
+      await batch.commit();
+      requestDeliveries(notificationRefs);
+    } catch (err) {
+      console.error("Failed to change dates: ", err);
+      setActionError(`Failed to change dates for ${booking.applicationId}: ${err.message}`);
+    }
+  };
+
+  // Status and room controls in the details dialog hand over to their own dialogs
+  const closeDetailsThen = (action) => (...args) => {
+    setDetailsBooking(null);
+    return action(...args);
+  };
+
+  const handleReasonConfirm = async (reason) => {
+    const { bookings: targets, status, bulk } = reasonDialog;
+    setReasonDialog(null);
+    setActionError(null);
+    if (bulk) {
+      await runBulkStatusChange(targets, status, reason);
+    } else {
+      await updateBookingStatus(targets[0], status, reason);
+    }
+  };
+
+  const [activeTab, setActiveTab] = useState('dashboard');
+  const [isSidebarOpen, setIsSidebarOpen] = useState(true);
+  const [viewMode, setViewMode] = useState('list'); // 'list', 'grid' or 'calendar'
+
+  const stats = [
+    { name: 'Total Bookings', value: counts.total ?? '—', icon: Calendar },
+    { name: 'Pending', value: counts.pending ?? '—', icon: Users },
+    { name: 'Approved', value: counts.approved ?? '—', icon: ShieldCheck },
+    { name: 'Rejected', value: counts.rejected ?? '—', icon: XCircle },
+  ];
+
+  return (
+    <div className="flex h-screen bg-gray-100 dark:bg-gray-900 print:block print:h-auto print:bg-white">
+      {/* Sidebar */}
+      <aside className={`relative ${isSidebarOpen ? 'w-64' : 'w-20'} bg-white dark:bg-gray-800 shadow-lg transition-all duration-300 hidden md:block print:!hidden`}>
+        <div className="flex items-center justify-between p-4 h-20 border-b dark:border-gray-700">
+          <span className={`font-bold text-xl text-blue-800 dark:text-blue-300 ${!isSidebarOpen && 'hidden'}`}>Admin</span>
+          <button onClick={() => setIsSidebarOpen(!isSidebarOpen)} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200">
+            {isSidebarOpen ? <X size={20} /> : <Menu size={20} />}
+          </button>
+        </div>
+        <nav className="flex-1 px-4 py-6 space-y-2">
+          <AdminNavItem icon={BarChart} label="Dashboard" isActive={activeTab === 'dashboard'} onClick={() => setActiveTab('dashboard')} isSidebarOpen={isSidebarOpen} />
+          <AdminNavItem icon={DoorOpen} label="Reception" isActive={activeTab === 'reception'} onClick={() => setActiveTab('reception')} isSidebarOpen={isSidebarOpen} />
+          <AdminNavItem icon={Receipt} label="Billing" isActive={activeTab === 'billing'} onClick={() => setActiveTab('billing')} isSidebarOpen={isSidebarOpen} />
+          <AdminNavItem icon={UtensilsCrossed} label="Mess" isActive={activeTab === 'mess'} onClick={() => setActiveTab('mess')} isSidebarOpen={isSidebarOpen} />
+          <AdminNavItem icon={MessageSquare} label="Feedback" isActive={activeTab === 'feedback'} onClick={() => setActiveTab('feedback')} isSidebarOpen={isSidebarOpen} />
+          <AdminNavItem icon={TrendingUp} label="Analytics" isActive={activeTab === 'analytics'} onClick={() => setActiveTab('analytics')} isSidebarOpen={isSidebarOpen} />
+          <AdminNavItem icon={FileText} label="Reports" isActive={activeTab === 'reports'} onClick={() => setActiveTab('reports')} isSidebarOpen={isSidebarOpen} />
+          <AdminNavItem icon={ClipboardList} label="Audit Log" isActive={activeTab === 'audit'} onClick={() => setActiveTab('audit')} isSidebarOpen={isSidebarOpen} />
+          {canManageAdmins(role) && (
+            <AdminNavItem icon={Settings} label="Settings" isActive={activeTab === 'settings'} onClick={() => setActiveTab('settings')} isSidebarOpen={isSidebarOpen} />
+          )}
+          {/* Add more nav items here */}
+        </nav>
+        <div className="absolute bottom-0 left-0 w-full p-4 border-t dark:border-gray-700">
+          <AdminNavItem icon={LogOut} label="Logout" onClick={onLogout} isSidebarOpen={isSidebarOpen} />
+        </div>
+      </aside>
+
+      {/* Main Content */}
+      <div className="flex-1 flex flex-col overflow-hidden print:overflow-visible">
+        {/* Top Header */}
+        <header className="flex items-center justify-between h-20 p-6 bg-white dark:bg-gray-800 border-b dark:border-gray-700 print:hidden">
+          <div>
+            <h1 className="text-2xl font-semibold text-gray-800 dark:text-gray-100">Welcome, Admin</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">{user.email} &middot; {ROLE_LABELS[role] || role}</p>
+          </div>
+          <div className="flex items-center space-x-4">
+            <button onClick={toggleTheme} className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200">
+              {theme === 'light' ? <Moon size={20} /> : <Sun size={20} />}
+            </button>
+            <button onClick={onLogout} className="md:hidden p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200">
+              <LogOut size={20} />
+            </button>
+          </div>
+        </header>
+        
+        {/* Page Content */}
+        <main className="flex-1 overflow-x-hidden overflow-y-auto p-6 print:overflow-visible print:p-0">
+          {activeTab === 'dashboard' && (
+            <div>
+              {/* Stats Cards */}
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+                {stats.map(stat => (
+                  <div key={stat.name} className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg flex items-center space-x-4">
+                    <div className={`p-3 rounded-full ${
+                      stat.name === 'Total Bookings' ? 'bg-blue-100 text-blue-600 dark:bg-blue-900 dark:text-blue-300' :
+                      stat.name === 'Pending' ? 'bg-yellow-100 text-yellow-600 dark:bg-yellow-900 dark:text-yellow-300' :
+                      stat.name === 'Rejected' ? 'bg-red-100 text-red-600 dark:bg-red-900 dark:text-red-300' :
+                      'bg-green-100 text-green-600 dark:bg-green-900 dark:text-green-300'
+                    }`}>
+                      <stat.icon size={24} />
+                    </div>
+                    <div>
+                      <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{stat.name}</p>
+                      <p className="text-3xl font-bold text-gray-900 dark:text-white">{stat.value}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Bookings Table / Grid */}
+              <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-xl font-semibold text-gray-900 dark:text-white">All Bookings</h2>
+                  <div className="flex items-center space-x-2 p-1 bg-gray-100 dark:bg-gray-700 rounded-lg">
+                    <button 
+                      onClick={() => setViewMode('list')}
+                      className={`p-2 rounded-md ${viewMode === 'list' ? 'bg-white dark:bg-gray-800 shadow' : 'text-gray-500 dark:text-gray-400'}`}
+                    >
+                      <List size={20} />
+                    </button>
+                    <button 
+                      onClick={() => setViewMode('grid')}
+                      className={`p-2 rounded-md ${viewMode === 'grid' ? 'bg-white dark:bg-gray-800 shadow' : 'text-gray-500 dark:text-gray-400'}`}
+                    >
+                      <Grid size={20} />
+                    </button>
+                    <button 
+                      onClick={() => setViewMode('calendar')}
+                      className={`p-2 rounded-md ${viewMode === 'calendar' ? 'bg-white dark:bg-gray-800 shadow' : 'text-gray-500 dark:text-gray-400'}`}
+                    >
+                      <CalendarDays size={20} />
+                    </button>
+                  </div>
+                </div>
+
+                {actionError && <FormAlert type="error" message={actionError} />}
+
+                {viewMode === 'calendar' && (
+                  <BookingCalendar
+                    canEdit={canManageBookings(role)}
+                    onOpenBooking={setDetailsBooking}
+                    onReschedule={handleReschedule}
+                  />
+                )}
+
+                {viewMode !== 'calendar' && (
+                  <div className="flex justify-end mb-2">
+                    <button
+                      onClick={() => setExportDialog({ title: 'Export filtered bookings', loadBookings: () => loadAllBookings(filters, sort) })}
+                      className="inline-flex items-center text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                      <Download size={16} className="mr-1" /> Export all matching bookings
+                    </button>
+                  </div>
+                )}
+                {viewMode !== 'calendar' && (
+                  <BookingFilters
+                    filters={filters}
+                    sort={sort}
+                    hasDateRange={hasDateRange}
+                    onFiltersChange={updateFilters}
+                    onSortChange={updateSort}
+                  />
+                )}
+
+                {viewMode !== 'calendar' && selectedBookings.length > 0 && (
+                  <BulkActionBar
+                    count={selectedBookings.length}
+                    canEdit={canManageBookings(role)}
+                    isRunning={isBulkRunning}
+                    onAction={handleBulkAction}
+                    onClear={() => setSelected({})}
+                  />
+                )}
+                {bulkReport && <BulkReport report={bulkReport} onDismiss={() => setBulkReport(null)} />}
+
+                {viewMode !== 'calendar' && isLoading && <FullScreenLoader />}
+                {viewMode !== 'calendar' && error && <FormAlert type="error" message={error} />}
+
+                {!isLoading && !error && viewMode !== 'calendar' && bookings.length === 0 && (
+                  <p className="py-8 text-center text-gray-500 dark:text-gray-400">No bookings match these filters.</p>
+                )}
+                {!isLoading && !error && bookings.length > 0 && viewMode === 'list' && (
+                  <BookingList 
+                    bookings={bookings} 
+                    notifications={notifications}
+                    canEdit={canManageBookings(role)}
+                    selected={selected}
+                    sort={sort}
+                    sortLocked={hasDateRange}
+                    onSort={updateSort}
+                    onToggleSelected={toggleSelected}
+                    onToggleSelectedPage={toggleSelectedPage}
+                    onStatusChange={handleStatusChange} 
+                    onChangeRoom={handleChangeRoom}
+                    onResendNotification={handleResendNotification}
+                    onShowHistory={setHistoryBooking}
+                    tariff={tariff}
+                    onIssueInvoice={canManageBookings(role) && handleIssueInvoice}
+                  />
+                )}
+                {!isLoading && !error && bookings.length > 0 && viewMode === 'grid' && (
+                  <BookingGrid 
+                    bookings={bookings} 
+                    notifications={notifications}
+                    canEdit={canManageBookings(role)}
+                    selected={selected}
+                    onToggleSelected={toggleSelected}
+                    onStatusChange={handleStatusChange} 
+                    onChangeRoom={handleChangeRoom}
+                    onResendNotification={handleResendNotification}
+                    onShowHistory={setHistoryBooking}
+                    tariff={tariff}
+                    onIssueInvoice={canManageBookings(role) && handleIssueInvoice}
+                  />
+                )}
+
+                {!error && viewMode !== 'calendar' && (pageCursors.length > 1 || hasMore) && (
+                  <div className="flex items-center justify-between mt-6">
+                    <button
+                      onClick={() => setPageCursors(prev => prev.slice(0, -1))}
+                      disabled={isLoading || pageCursors.length === 1}
+                      className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <span className="text-sm text-gray-500 dark:text-gray-400">Page {pageCursors.length}</span>
+                    <button
+                      onClick={() => setPageCursors(prev => [...prev, lastDoc])}
+                      disabled={isLoading || !hasMore}
+                      className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+          {activeTab === 'reception' && <ReceptionDesk user={user} canEdit={canManageBookings(role)} />}
+          {activeTab === 'billing' && <InvoicesPage canEdit={canManageBookings(role)} />}
+          {activeTab === 'mess' && <FoodCatalogue canEdit={canManageBookings(role)} />}
+          {activeTab === 'feedback' && <FeedbackInbox canEdit={canManageBookings(role)} />}
+          {activeTab === 'analytics' && <AnalyticsPanel />}
+          {activeTab === 'reports' && <ReportsPage />}
+          {activeTab === 'audit' && <AuditLog />}
+          {activeTab === 'settings' && canManageAdmins(role) && <AdminSettings currentUser={user} />}
+        </main>
+      </div>
+
+      {roomDialog && (
+        <RoomAssignmentDialog
+          booking={roomDialog.booking}
+          bookings={roomDialog.bookings}
+          mode={roomDialog.mode}
+          onConfirm={handleRoomConfirm}
+          onClose={() => setRoomDialog(null)}
+        />
+      )}
+
+      {reasonDialog && (
+        <StatusReasonDialog
+          bookings={reasonDialog.bookings}
+          status={reasonDialog.status}
+          onConfirm={handleReasonConfirm}
+          onClose={() => setReasonDialog(null)}
+        />
+      )}
+
+      {exportDialog && (
+        <ExportDialog
+          title={exportDialog.title}
+          loadBookings={exportDialog.loadBookings}
+          onClose={() => setExportDialog(null)}
+        />
+      )}
+
+      {detailsBooking && (
+        <BookingDetailsDialog
+          booking={detailsBooking}
+          canEdit={canManageBookings(role)}
+          onStatusChange={closeDetailsThen(handleStatusChange)}
+          onChangeRoom={closeDetailsThen(handleChangeRoom)}
+          onShowHistory={closeDetailsThen(setHistoryBooking)}
+          tariff={tariff}
+          onIssueInvoice={canManageBookings(role) && closeDetailsThen(handleIssueInvoice)}
+          onClose={() => setDetailsBooking(null)}
+        />
+      )}
+
+      {historyBooking && (
+        <BookingHistoryDialog booking={historyBooking} onClose={() => setHistoryBooking(null)} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * BookingHistoryDialog Component
+ * Timeline of every status change of one booking, oldest first.
+ */
+function BookingHistoryDialog({ booking, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const historyQuery = query(auditLogCollectionRef, where('bookingId', '==', booking.id), orderBy('at'));
+    getDocs(historyQuery)
+      .then(snapshot => setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))))
+      .catch(err => {
+        console.error(err);
+        setError(`Failed to load history: ${err.message}`);
+      })
+      .finally(() => setIsLoading(false));
+  }, [booking.id]);
+
+  return (
+    <Modal title={`History of ${booking.applicationId}`} onClose={onClose}>
+      {error && <FormAlert type="error" message={error} />}
+      {isLoading ? (
+        <div className="flex justify-center py-8"><Spinner size="lg" /></div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No status changes recorded yet.</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 dark:border-gray-700 ml-2 space-y-6 max-h-96 overflow-y-auto">
+          {entries.map(entry => (
+            <li key={entry.id} className="ml-4">
+              <div className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-600 border border-white dark:border-gray-800" />
+              <time className="text-xs text-gray-500 dark:text-gray-400">{formatAuditTime(entry.at)}</time>
+              <div className="text-sm text-gray-900 dark:text-white">
+                {entry.fromStatus ? `${entry.fromStatus} → ${entry.toStatus}` : `Submitted as ${entry.toStatus}`}
+              </div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">by {formatAuditActor(entry)}</div>
+              {entry.reason && <div className="mt-1 text-sm text-gray-700 dark:text-gray-300">“{entry.reason}”</div>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </Modal>
+  );
+}
+
+/**
+ * ReceptionDesk Component
+ * The front desk's day: expected arrivals and departures, who is in the
+ * house and who missed yesterday's check-in. Approved guests who never
+ * arrive are flagged as no-shows overnight by /api/noShows. Meals served
+ * to guests in the house are recorded from here for their bill.
+ */
+function ReceptionDesk({ user, canEdit }) {
+  const today = todayInGuesthouseTz();
+  const [arriving, setArriving] = useState([]);
+  const [inHouse, setInHouse] = useState([]);
+  const [error, setError] = useState(null);
+  const [dialog, setDialog] = useState(null); // { booking, mode: 'checkIn' | 'checkOut' | 'meals' }
+  const [notice, setNotice] = useState(null); // { type, message }
+
+  useEffect(() => {
+    if (!bookingsCollectionRef) return;
+    const toBookings = (snapshot) => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const onError = (err) => {
+      console.error(err);
+      setError(`Failed to load the reception lists: ${err.message}`);
+    };
+    const unsubscribeArriving = onSnapshot(
+      query(bookingsCollectionRef, where('checkIn', '>=', addDays(today, -1)), where('checkIn', '<=', today)),
+      (snapshot) => setArriving(toBookings(snapshot)),
+      onError
+    );
+    const unsubscribeInHouse = onSnapshot(
+      query(bookingsCollectionRef, where('status', '==', BOOKING_STATES.CHECKED_IN)),
+      (snapshot) => setInHouse(toBookings(snapshot)),
+      onError
+    );
+    return () => {
+      unsubscribeArriving();
+      unsubscribeInHouse();
+    };
+  }, [today]);
+
+  const inHouseIds = new Set(inHouse.map(booking => booking.id));
+  const { arrivals, departures, staying, missed } = receptionLists(
+    [...inHouse, ...arriving.filter(booking => !inHouseIds.has(booking.id))],
+    today
+  );
+
+  const recordArrival = async (booking, mode, fields) => {
+    const batch = writeBatch(db);
+    const newStatus = mode === 'checkIn' ? BOOKING_STATES.CHECKED_IN : BOOKING_STATES.CHECKED_OUT;
+    stageStatusChange(batch, booking, newStatus, { actor: user, fields });
+    await batch.commit();
+    setDialog(null);
+    if (mode === 'checkOut') await issueInvoice(booking);
+  };
+
+  // The stay is over either way; a failed invoice can be issued again
+  // from the booking in the dashboard
+  const issueInvoice = async (booking) => {
+    try {
+      const { number } = await apiRequest('/api/invoices', { method: 'POST', body: { bookingId: booking.id } });
+      setNotice({ type: 'success', message: `${booking.name} checked out. Invoice ${number} is ready under Billing.` });
+    } catch (err) {
+      console.error(err);
+      setNotice({ type: 'error', message: `${booking.name} checked out, but the invoice could not be issued: ${err.message}. Issue it from the booking in the dashboard.` });
+    }
+  };
+
+  const action = (booking) => {
+    if (!canEdit) return null;
+    const button = (mode, label) => (
+      <button
+        onClick={() => setDialog({ booking, mode })}
+        className="px-3 py-1 text-sm font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700"
+      >
+        {label}
+      </button>
+    );
+    const { CHECKED_IN, CHECKED_OUT } = BOOKING_STATES;
+    if (canTransition(booking.status, CHECKED_IN, ACTOR_TYPES.ADMIN) && booking.checkIn <= today) return button('checkIn', actionLabel(CHECKED_IN));
+    if (canTransition(booking.status, CHECKED_OUT, ACTOR_TYPES.ADMIN)) {
+      return <span className="flex gap-2">{button('meals', 'Meals')}{button('checkOut', actionLabel(CHECKED_OUT))}</span>;
+    }
+    return null;
+  };
+
+  const stayRow = (booking) => [
+    booking.applicationId,
+    booking.name,
+    booking.guestCount,
+    booking.roomIds?.length ? formatRoomIds(booking.roomIds) : '—',
+    `${booking.checkIn} to ${booking.checkOut}`,
+  ];
+  const statusCell = (booking) => (
+    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getStatusBadgeClasses(booking.status)}`}>{booking.status}</span>
+  );
+  const headers = ['Application ID', 'Name', 'Guests', 'Rooms', 'Stay'];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">Reception</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">{formatCalendarDay(today)} &middot; {arrivals.length} arriving, {departures.length} leaving, {staying.length} staying on</p>
+      {error && <FormAlert type="error" message={error} />}
+      {notice && <FormAlert type={notice.type} message={notice.message} />}
+
+      <ReportHeading>Arriving today</ReportHeading>
+      <ReportTable
+        headers={[...headers, 'Status', 'Arrived', '']}
+        rows={arrivals.map(booking => [
+          ...stayRow(booking),
+          statusCell(booking),
+          booking.checkedInAt ? formatArrivalTime(booking.checkedInAt) : '—',
+          action(booking),
+        ])}
+      />
+
+      <ReportHeading>Leaving today</ReportHeading>
+      <ReportTable
+        headers={[...headers, 'Room key', '']}
+        rows={departures.map(booking => [
+          ...stayRow(booking),
+          <>{booking.roomKey || '—'}{booking.checkOut < today && <span className="ml-2 text-xs text-red-600 dark:text-red-400">overdue</span>}</>,
+          action(booking),
+        ])}
+      />
+
+      <ReportHeading>In house</ReportHeading>
+      <ReportTable
+        headers={[...headers, 'Room key', 'Arrived', '']}
+        rows={staying.map(booking => [
+          ...stayRow(booking),
+          booking.roomKey || '—',
+          formatArrivalTime(booking.checkedInAt),
+          action(booking),
+        ])}
+      />
+
+      <ReportHeading>Missed yesterday&apos;s check-in</ReportHeading>
+      <ReportTable
+        headers={[...headers, 'Phone', 'Status', '']}
+        rows={missed.map(booking => [...stayRow(booking), booking.phone, statusCell(booking), action(booking)])}
+      />
+
+      {dialog?.mode === 'checkIn' && (
+        <CheckInDialog booking={dialog.booking} onConfirm={(fields) => recordArrival(dialog.booking, 'checkIn', fields)} onClose={() => setDialog(null)} />
+      )}
+      {dialog?.mode === 'checkOut' && (
+        <CheckOutDialog booking={dialog.booking} onConfirm={(fields) => recordArrival(dialog.booking, 'checkOut', fields)} onClose={() => setDialog(null)} />
+      )}
+      {dialog?.mode === 'meals' && <MealsDialog booking={dialog.booking} user={user} onClose={() => setDialog(null)} />}
+    </div>
+  );
+}
+
+/**
+ * Shared shell of the check-in and check-out dialogs: a form whose
+ * confirm button stays disabled until `canConfirm`, showing any error
+ * from saving.
+ */
+function ArrivalDialog({ title, confirmLabel, canConfirm, onConfirm, onClose, children }) {
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onConfirm();
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to save: ${err.message}`);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal title={title} onClose={onClose}>
+      <form onSubmit={handleSubmit}>
+        {error && <FormAlert type="error" message={error} />}
+        <div className="space-y-4 mb-6">{children}</div>
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canConfirm || isSaving}
+            className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : confirmLabel}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+/**
+ * Records the guest's arrival: the actual time, that the ID shown matches
+ * the one on the application, and the key handed over.
+ */
+function CheckInDialog({ booking, onConfirm, onClose }) {
+  const [arrivedAt, setArrivedAt] = useState(toDateTimeInputValue(new Date()));
+  const [idVerified, setIdVerified] = useState(false);
+  const [roomKey, setRoomKey] = useState('');
+  const hasRooms = booking.roomIds?.length > 0;
+
+  return (
+    <ArrivalDialog
+      title={`Check in ${booking.applicationId}`}
+      confirmLabel="Check in"
+      canConfirm={hasRooms && idVerified && Boolean(arrivedAt)}
+      onConfirm={() => onConfirm({ checkedInAt: new Date(arrivedAt).toISOString(), idVerified, roomKey: roomKey.trim() || null })}
+      onClose={onClose}
+    >
+      <StatusItem label="Guest" value={`${booking.name} (${booking.guestCount})`} />
+      <StatusItem label="Rooms" value={hasRooms ? formatRoomIds(booking.roomIds) : 'Not assigned'} />
+      <StatusItem label="ID proof" value={ID_PROOF_TYPES[booking.idProof]?.label || booking.idProof} />
+      <StatusItem label="ID number" value={booking.idNumber} />
+      {!hasRooms && <FormAlert type="error" message="Assign a room from the dashboard before checking this guest in." />}
+      <FormInput label="Arrival time" name="arrivedAt" type="datetime-local" value={arrivedAt} onChange={(e) => setArrivedAt(e.target.value)} required />
+      <FormCheckbox
+        label="The guest's ID proof matches the type and number above"
+        name="idVerified"
+        checked={idVerified}
+        onChange={(e) => setIdVerified(e.target.checked)}
+      />
+      <FormInput label="Room key issued" name="roomKey" value={roomKey} onChange={(e) => setRoomKey(e.target.value)} maxLength={100} placeholder="e.g. Key 201-A" />
+    </ArrivalDialog>
+  );
+}
+
+/**
+ * Records the guest's departure and whether the room key came back.
+ */
+function CheckOutDialog({ booking, onConfirm, onClose }) {
+  const [departedAt, setDepartedAt] = useState(toDateTimeInputValue(new Date()));
+  const [keyReturned, setKeyReturned] = useState(false);
+
+  return (
+    <ArrivalDialog
+      title={`Check out ${booking.applicationId}`}
+      confirmLabel="Check out"
+      canConfirm={Boolean(departedAt)}
+      onConfirm={() => onConfirm({ checkedOutAt: new Date(departedAt).toISOString(), keyReturned })}
+      onClose={onClose}
+    >
+      <StatusItem label="Guest" value={booking.name} />
+      <StatusItem label="Rooms" value={booking.roomIds?.length ? formatRoomIds(booking.roomIds) : '—'} />
+      <StatusItem label="Arrived" value={formatArrivalTime(booking.checkedInAt)} />
+      {booking.checkOut > todayInGuesthouseTz() && (
+        <FormAlert type="error" message={`This guest is booked until ${booking.checkOut}; checking out now frees the remaining nights.`} />
+      )}
+      <FormInput label="Departure time" name="departedAt" type="datetime-local" value={departedAt} onChange={(e) => setDepartedAt(e.target.value)} required />
+      <FormCheckbox
+        label={booking.roomKey ? `Room key returned (${booking.roomKey})` : 'Room key returned'}
+        name="keyReturned"
+        checked={keyReturned}
+        onChange={(e) => setKeyReturned(e.target.checked)}
+      />
+    </ArrivalDialog>
+  );
+}
+
+const INVOICES_PAGE_SIZE = 100;
+
+/**
+ * InvoicesPage Component
+ * Invoices issued at check-out, newest first. Picking one shows it ready
+ * to print (or save as PDF) and lets the reception record the payment.
+ */
+function InvoicesPage({ canEdit }) {
+  const [showPaid, setShowPaid] = useState(false);
+  const [invoices, setInvoices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    if (!invoicesCollectionRef) return;
+    setIsLoading(true);
+    const constraints = showPaid ? [] : [where('paymentStatus', '==', PAYMENT_STATUSES.UNPAID)];
+    return onSnapshot(
+      query(invoicesCollectionRef, ...constraints, orderBy('issuedAt', 'desc'), limit(INVOICES_PAGE_SIZE)),
+      (snapshot) => {
+        setInvoices(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        setIsLoading(false);
+      },
+      (err) => {
+        console.error(err);
+        setError(`Failed to load invoices: ${err.message}`);
+        setIsLoading(false);
+      }
+    );
+  }, [showPaid]);
+
+  const selected = invoices.find(invoice => invoice.id === selectedId);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg print:hidden">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Invoices</h2>
+          <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={showPaid}
+              onChange={(e) => setShowPaid(e.target.checked)}
+              className="h-4 w-4 mr-2 rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+            />
+            Include paid invoices
+          </label>
+        </div>
+        {error && <FormAlert type="error" message={error} />}
+        {isLoading ? (
+          <div className="flex justify-center py-8"><Spinner size="lg" /></div>
+        ) : invoices.length === 0 ? (
+          <p className="py-8 text-center text-gray-500 dark:text-gray-400">
+            {showPaid ? 'No invoices have been issued yet.' : 'Every invoice has been paid.'}
+          </p>
+        ) : (
+          <ReportTable
+            headers={['Invoice', 'Guest', 'Application ID', 'Issued', 'Total', 'Payment']}
+            rows={invoices.map(invoice => [
+              <button onClick={() => setSelectedId(invoice.id)} className="font-mono text-blue-600 dark:text-blue-400 hover:underline">
+                {invoice.number}
+              </button>,
+              invoice.guest.name,
+              invoice.applicationId,
+              invoice.issuedOn,
+              formatCurrency(invoice.total),
+              <PaymentBadge status={invoice.paymentStatus} />,
+            ])}
+          />
+        )}
+      </div>
+
+      {selected && (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg print:shadow-none print:p-0 print:bg-white print:text-black">
+          <div className="flex justify-end mb-6 print:hidden">
+            <button
+              onClick={() => window.print()}
+              className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700"
+            >
+              <Printer size={20} className="mr-2" />
+              Print / Save as PDF
+            </button>
+          </div>
+          <InvoiceDocument invoice={selected} />
+          {canEdit && selected.paymentStatus === PAYMENT_STATUSES.UNPAID && <MarkPaidForm invoice={selected} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The invoice as the guest receives it.
+ */
+function InvoiceDocument({ invoice }) {
+  return (
+    <div>
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <p className="text-sm text-gray-500 dark:text-gray-400 print:text-black">{UNIVERSITY_NAME}</p>
+          <h2 className="text-2xl font-semibold text-gray-900 dark:text-white print:text-black">{APP_TITLE}</h2>
+        </div>
+        <div className="text-right">
+          <p className="text-lg font-semibold text-gray-900 dark:text-white print:text-black">Invoice {invoice.number}</p>
+          <p className="text-sm text-gray-500 dark:text-gray-400 print:text-black">Issued {invoice.issuedOn}</p>
+          <PaymentBadge status={invoice.paymentStatus} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6 text-sm text-gray-700 dark:text-gray-300 print:text-black">
+        <div>
+          <p className="font-semibold">Billed to</p>
+          <p>{invoice.guest.name}</p>
+          <p>{invoice.guest.address}</p>
+          <p>{invoice.guest.email} &middot; {invoice.guest.phone}</p>
+        </div>
+        <div>
+          <p className="font-semibold">Stay</p>
+          <p>Application {invoice.applicationId} &middot; {PURPOSES[invoice.purpose] || invoice.purpose}</p>
+          <p>{invoice.checkIn} to {invoice.checkOut} &middot; {invoice.guestCount} guest{invoice.guestCount > 1 ? 's' : ''}</p>
+          <p>Rooms {invoice.roomIds.length ? formatRoomIds(invoice.roomIds) : '—'}</p>
+        </div>
+      </div>
+
+      <ReportTable
+        headers={['Description', 'Quantity', 'Rate', 'Amount']}
+        rows={invoice.lines.map(line => [line.description, line.quantity, formatCurrency(line.unitPrice), formatCurrency(line.amount)])}
+      />
+      <div className="ml-auto w-full max-w-xs space-y-1 text-sm text-gray-700 dark:text-gray-300 print:text-black">
+        <div className="flex justify-between"><span>Subtotal</span><span>{formatCurrency(invoice.subtotal)}</span></div>
+        {invoice.taxes.map(tax => (
+          <div key={tax.name} className="flex justify-between"><span>{tax.name} ({tax.percent}%)</span><span>{formatCurrency(tax.amount)}</span></div>
+        ))}
+        <div className="flex justify-between pt-1 border-t-2 border-gray-300 dark:border-gray-600 print:border-black font-semibold text-gray-900 dark:text-white print:text-black">
+          <span>Total</span><span>{formatCurrency(invoice.total)}</span>
+        </div>
+      </div>
+
+      {invoice.paymentStatus === PAYMENT_STATUSES.PAID && (
+        <p className="mt-6 text-sm text-gray-700 dark:text-gray-300 print:text-black">
+          Paid by {PAYMENT_METHODS[invoice.paymentMethod] || invoice.paymentMethod}
+          {invoice.paymentReference && ` (ref. ${invoice.paymentReference})`}
+          {invoice.paidAt && ` on ${invoice.paidAt.toDate().toLocaleDateString()}`}.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function PaymentBadge({ status }) {
+  return (
+    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+      status === PAYMENT_STATUSES.PAID
+        ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100'
+        : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100'
+    }`}>
+      {status}
+    </span>
+  );
+}
+
+/**
+ * Records how an invoice was paid.
+ */
+function MarkPaidForm({ invoice }) {
+  const [payment, setPayment] = useState({ paymentMethod: 'cash', paymentReference: '' });
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setPayment(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      await apiRequest('/api/invoices', { method: 'PATCH', body: { invoiceId: invoice.id, ...payment } });
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-8 pt-6 border-t border-gray-200 dark:border-gray-700 print:hidden">
+      {error && <FormAlert type="error" message={error} />}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <FormSelect
+          label="Payment method"
+          name="paymentMethod"
+          value={payment.paymentMethod}
+          onChange={handleChange}
+          options={Object.entries(PAYMENT_METHODS).map(([value, label]) => ({ value, label }))}
+        />
+        <FormInput label="Reference (receipt, UTR...)" name="paymentReference" value={payment.paymentReference} onChange={handleChange} maxLength={100} />
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+        >
+          {isSaving && <Spinner />}
+          Mark as paid
+        </button>
+      </div>
+    </form>
+  );
+}
+
+const EMPTY_FOOD_ITEM = { name: '', category: 'meals', rate: '', isVeg: true, slots: [], available: true };
+
+/**
+ * FoodCatalogue Component
+ * The mess menu behind the public Food page. Items taken off the menu stay
+ * in the catalogue (and on past bills) and can be brought back.
+ */
+function FoodCatalogue({ canEdit }) {
+  const { items, error: loadError } = useFoodItems();
+  const [form, setForm] = useState(EMPTY_FOOD_ITEM);
+  const [editingId, setEditingId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const toggleSlot = (slot) => setForm(prev => ({
+    ...prev,
+    slots: prev.slots.includes(slot) ? prev.slots.filter(s => s !== slot) : [...prev.slots, slot],
+  }));
+
+  const resetForm = () => {
+    setForm(EMPTY_FOOD_ITEM);
+    setEditingId(null);
+    setErrors({});
+  };
+
+  const runAction = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to update the menu: ${err.message}`);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { errors: found, value } = validateFoodItem(form);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    setIsSaving(true);
+    await runAction(async () => {
+      if (editingId) await updateDoc(doc(foodItemsCollectionRef, editingId), value);
+      else await addDoc(foodItemsCollectionRef, value);
+      resetForm();
+    });
+    setIsSaving(false);
+  };
+
+  const handleEdit = (item) => {
+    setForm({ name: item.name, category: item.category, rate: item.rate, isVeg: item.isVeg, slots: item.slots, available: item.available });
+    setEditingId(item.id);
+    setErrors({});
+  };
+
+  const handleDelete = (item) => {
+    if (!window.confirm(`Remove ${item.name} from the catalogue? Bills already recorded keep it.`)) return;
+    if (editingId === item.id) resetForm();
+    return runAction(() => deleteDoc(doc(foodItemsCollectionRef, item.id)));
+  };
+
+  const fieldError = (field) => errors[field] && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{errors[field]}</p>;
+
+  return (
+    <div className="space-y-6">
+      {canEdit && (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">{editingId ? `Edit ${form.name || 'item'}` : 'Add Food Item'}</h2>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <FormInput label="Name" name="name" value={form.name} onChange={handleChange} maxLength={MAX_FOOD_NAME_LENGTH} required />
+                {fieldError('name')}
+              </div>
+              <div>
+                <FormSelect
+                  label="Category"
+                  name="category"
+                  value={form.category}
+                  onChange={handleChange}
+                  options={Object.entries(FOOD_CATEGORIES).map(([value, label]) => ({ value, label }))}
+                />
+                {fieldError('category')}
+              </div>
+              <div>
+                <FormInput label="Rate (₹)" name="rate" type="number" min="0" step="0.01" value={form.rate} onChange={handleChange} required />
+                {fieldError('rate')}
+              </div>
+            </div>
+            <div>
+              <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Served at</span>
+              <div className="flex flex-wrap gap-4">
+                {Object.entries(MEAL_SLOTS).map(([slot, label]) => (
+                  <label key={slot} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={form.slots.includes(slot)}
+                      onChange={() => toggleSlot(slot)}
+                      className="h-4 w-4 mr-2 rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              {fieldError('slots')}
+            </div>
+            <div className="flex flex-wrap gap-6">
+              <FormCheckbox label="Vegetarian" name="isVeg" checked={form.isVeg} onChange={handleChange} />
+              <FormCheckbox label="On the menu" name="available" checked={form.available} onChange={handleChange} />
+            </div>
+            <div className="flex justify-end gap-4">
+              {editingId && (
+                <button type="button" onClick={resetForm} className="px-6 py-3 text-base font-medium rounded-lg text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+                  Cancel
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSaving && <Spinner />}
+                {editingId ? 'Save Item' : 'Add Item'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Food Catalogue</h2>
+        {(error || loadError) && <FormAlert type="error" message={error || loadError} />}
+        <ReportTable
+          headers={['Item', 'Category', 'Served at', 'Rate', 'On menu', ...(canEdit ? [''] : [])]}
+          rows={items.map(item => [
+            <span className="flex items-center"><VegMark isVeg={item.isVeg} /><span className="ml-2">{item.name}</span></span>,
+            FOOD_CATEGORIES[item.category] || item.category,
+            item.slots.map(slot => MEAL_SLOTS[slot]).join(', '),
+            formatCurrency(item.rate),
+            canEdit ? (
+              <button onClick={() => runAction(() => updateDoc(doc(foodItemsCollectionRef, item.id), { available: !item.available }))} className="text-blue-600 dark:text-blue-400 hover:underline">
+                {item.available ? 'Yes' : 'No'}
+              </button>
+            ) : (item.available ? 'Yes' : 'No'),
+            ...(canEdit ? [
+              <span className="space-x-3">
+                <button onClick={() => handleEdit(item)} className="text-blue-600 dark:text-blue-400 hover:underline">Edit</button>
+                <button onClick={() => handleDelete(item)} className="text-red-600 dark:text-red-400 hover:underline">Remove</button>
+              </span>,
+            ] : []),
+          ])}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * MealsDialog Component
+ * Meals served to a checked-in guest. They go on the invoice at check-out
+ * and can be corrected until then.
+ */
+function MealsDialog({ booking, user, onClose }) {
+  const today = todayInGuesthouseTz();
+  const { items } = useFoodItems({ availableOnly: true });
+  const [meals, setMeals] = useState([]);
+  const [entry, setEntry] = useState({ itemId: '', slot: '', date: today, quantity: 1 });
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!mealsCollectionRef) return;
+    return onSnapshot(
+      query(mealsCollectionRef, where('bookingId', '==', booking.id)),
+      (snapshot) => setMeals(snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.date.localeCompare(b.date) || Object.keys(MEAL_SLOTS).indexOf(a.slot) - Object.keys(MEAL_SLOTS).indexOf(b.slot))),
+      (err) => {
+        console.error(err);
+        setError(`Failed to load meals: ${err.message}`);
+      }
+    );
+  }, [booking.id]);
+
+  const item = items.find(food => food.id === entry.itemId);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setEntry(prev => ({
+      ...prev,
+      [name]: value,
+      // Default to the first meal the new item is served at
+      ...(name === 'itemId' && { slot: items.find(food => food.id === value)?.slots[0] || '' }),
+    }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const quantity = Number(entry.quantity);
+    if (!item || !Number.isInteger(quantity) || quantity < 1 || quantity > MAX_MEAL_QUANTITY) {
+      setError(`Pick an item and a quantity between 1 and ${MAX_MEAL_QUANTITY}.`);
+      return;
+    }
+    setIsSaving(true);
+    setError(null);
+    try {
+      await addDoc(mealsCollectionRef, {
+        bookingId: booking.id,
+        applicationId: booking.applicationId,
+        itemId: item.id,
+        name: item.name,
+        rate: item.rate,
+        slot: entry.slot,
+        date: entry.date,
+        quantity,
+        recordedBy: user.email.toLowerCase(),
+        recordedAt: serverTimestamp(),
+      });
+      setEntry(prev => ({ ...prev, quantity: 1 }));
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to record the meal: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (meal) => {
+    setError(null);
+    try {
+      await deleteDoc(doc(mealsCollectionRef, meal.id));
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to remove the meal: ${err.message}`);
+    }
+  };
+
+  const lines = mealCharges(meals);
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  return (
+    <Modal title={`Meals · ${booking.name}`} onClose={onClose}>
+      {error && <FormAlert type="error" message={error} />}
+      {meals.length === 0 ? (
+        <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">No meals recorded for this stay yet.</p>
+      ) : (
+        <ul className="mb-4 max-h-60 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          {meals.map(meal => (
+            <li key={meal.id} className="flex items-center justify-between py-2 text-gray-700 dark:text-gray-300">
+              <span>{meal.date} &middot; {MEAL_SLOTS[meal.slot]} &middot; {meal.quantity} × {meal.name}</span>
+              <span className="flex items-center gap-3">
+                {formatCurrency(meal.quantity * meal.rate)}
+                <button onClick={() => handleRemove(meal)} className="text-red-600 dark:text-red-400" aria-label={`Remove ${meal.name}`}>
+                  <X size={16} />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="mb-6 text-sm font-semibold text-gray-900 dark:text-white">Meals so far: {formatCurrency(total)} before taxes</p>
+
+      <form onSubmit={handleAdd} className="space-y-4">
+        <FormSelect
+          label="Item"
+          name="itemId"
+          value={entry.itemId}
+          onChange={handleChange}
+          options={[{ value: '', label: 'Select an item' }, ...items.map(food => ({ value: food.id, label: `${food.name} (${formatCurrency(food.rate)})` }))]}
+          required
+        />
+        <div className="grid grid-cols-3 gap-4">
+          <FormSelect
+            label="Meal"
+            name="slot"
+            value={entry.slot}
+            onChange={handleChange}
+            options={(item?.slots || []).map(slot => ({ value: slot, label: MEAL_SLOTS[slot] }))}
+            required
+          />
+          <FormInput label="Date" name="date" type="date" min={booking.checkIn} max={today} value={entry.date} onChange={handleChange} required />
+          <FormInput label="Quantity" name="quantity" type="number" min="1" max={MAX_MEAL_QUANTITY} value={entry.quantity} onChange={handleChange} required />
+        </div>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isSaving || !item}
+            className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSaving && <Spinner />}
+            Add Meal
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+const FEEDBACK_PAGE_SIZE = 200;
+
+/**
+ * FeedbackInbox Component
+ * Guest feedback by check-out date, newest first, with average scores and
+ * how they moved month by month. Comments a guest agreed to share can be
+ * published to the home page, which only receives their first name.
+ */
+function FeedbackInbox({ canEdit }) {
+  const [filters, setFilters] = useState({ from: '', to: '' });
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadEntries = async ({ from, to }) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const constraints = [];
+      if (from) constraints.push(where('checkOut', '>=', from));
+      if (to) constraints.push(where('checkOut', '<=', to));
+      const snapshot = await getDocs(query(feedbackCollectionRef, ...constraints, orderBy('checkOut', 'desc'), limit(FEEDBACK_PAGE_SIZE)));
+      setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to load feedback: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries({ from: '', to: '' });
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    loadEntries(filters);
+  };
+
+  const togglePublished = async (entry) => {
+    setError(null);
+    const published = !entry.published;
+    try {
+      // The public testimonial and the inbox flag change together
+      const batch = writeBatch(db);
+      batch.update(doc(feedbackCollectionRef, entry.id), { published });
+      const testimonialRef = doc(testimonialsCollectionRef, entry.id);
+      if (published) batch.set(testimonialRef, { ...entry.testimonial, publishedAt: serverTimestamp() });
+      else batch.delete(testimonialRef);
+      await batch.commit();
+      setEntries(prev => prev.map(item => item.id === entry.id ? { ...item, published } : item));
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to ${published ? 'publish' : 'unpublish'} the testimonial: ${err.message}`);
+    }
+  };
+
+  const averages = feedbackAverages(entries);
+  const monthLabel = (month) => new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' });
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Guest Feedback</h2>
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mb-6">
+        <FormInput label="Checked out from" name="from" type="date" value={filters.from} onChange={handleChange} />
+        <FormInput label="Checked out to" name="to" type="date" value={filters.to} onChange={handleChange} />
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isLoading ? <Spinner /> : <Search size={20} className="mr-2" />}
+          Show
+        </button>
+      </form>
+
+      {error && <FormAlert type="error" message={error} />}
+      {!isLoading && entries.length === 0 && (
+        <p className="py-8 text-center text-gray-500 dark:text-gray-400">No feedback for these dates yet.</p>
+      )}
+
+      {entries.length > 0 && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+            {[['Overall', averages.overall], ...Object.entries(FEEDBACK_ASPECTS).map(([aspect, label]) => [label, averages.aspects[aspect]])].map(([label, value]) => (
+              <div key={label} className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700">
+                <p className="text-sm text-gray-500 dark:text-gray-400">{label}</p>
+                <p className="text-2xl font-bold text-gray-900 dark:text-white">{value.toFixed(1)}</p>
+                <StarRating value={value} size={14} />
+              </div>
+            ))}
+          </div>
+          <p className="mb-2 text-sm text-gray-500 dark:text-gray-400">{averages.count} response{averages.count === 1 ? '' : 's'}{entries.length === FEEDBACK_PAGE_SIZE && ' (most recent only; narrow the dates to see older ones)'}</p>
+
+          <ReportHeading>Overall rating by check-out month</ReportHeading>
+          <div className="mb-8">
+            <ColumnChart
+              max={MAX_RATING}
+              color="bg-yellow-400"
+              points={monthlyAverages(entries).map(({ month, count, average }) => ({
+                label: monthLabel(month),
+                value: average,
+                title: `${average} from ${count} guest${count === 1 ? '' : 's'}`,
+              }))}
+            />
+          </div>
+
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {entries.map(entry => (
+              <li key={entry.id} className="py-4">
+                <div className="flex flex-wrap items-start justify-between gap-4">
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-white">{entry.name} &middot; {entry.applicationId}</p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {entry.checkIn} to {entry.checkOut} &middot; {PURPOSES[entry.purpose] || entry.purpose}
+                    </p>
+                  </div>
+                  <div className="flex flex-wrap gap-4 text-sm text-gray-700 dark:text-gray-300">
+                    {Object.entries(FEEDBACK_ASPECTS).map(([aspect, label]) => (
+                      <span key={aspect}>{label} {entry.ratings[aspect]}/{MAX_RATING}</span>
+                    ))}
+                  </div>
+                </div>
+                {entry.comments && <p className="mt-2 text-gray-700 dark:text-gray-300">{entry.comments}</p>}
+                <div className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  {!entry.allowPublishing ? 'Not for publication' : entry.published ? 'Shown on the home page' : 'May be published'}
+                  {canEdit && entry.allowPublishing && entry.comments && (
+                    <button onClick={() => togglePublished(entry)} className="ml-3 text-blue-600 dark:text-blue-400 hover:underline">
+                      {entry.published ? 'Unpublish' : 'Publish testimonial'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+const AUDIT_LOG_PAGE_SIZE = 200;
+
+/**
+ * AuditLog Component
+ * Every booking status change, newest first, filterable by the admin
+ * who made it and by date.
+ */
+function AuditLog() {
+  const [filters, setFilters] = useState({ actorEmail: '', from: '', to: '' });
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadEntries = async ({ actorEmail, from, to }) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const constraints = [];
+      if (actorEmail.trim()) constraints.push(where('actorEmail', '==', actorEmail.trim().toLowerCase()));
+      // Dates are the admin's local days; `to` is inclusive
+      if (from) constraints.push(where('at', '>=', Timestamp.fromDate(new Date(`${from}T00:00:00`))));
+      if (to) constraints.push(where('at', '<', Timestamp.fromDate(new Date(`${addDays(to, 1)}T00:00:00`))));
+      const snapshot = await getDocs(query(auditLogCollectionRef, ...constraints, orderBy('at', 'desc'), limit(AUDIT_LOG_PAGE_SIZE)));
+      setEntries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to load the audit log: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries({ actorEmail: '', from: '', to: '' });
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    loadEntries(filters);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Audit Log</h2>
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end mb-6">
+        <FormInput label="Admin Email" name="actorEmail" type="email" value={filters.actorEmail} onChange={handleChange} />
+        <FormInput label="From" name="from" type="date" value={filters.from} onChange={handleChange} />
+        <FormInput label="To" name="to" type="date" value={filters.to} min={filters.from || undefined} onChange={handleChange} />
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Search size={20} className="mr-2" />
+          Filter
+        </button>
+      </form>
+
+      {error && <FormAlert type="error" message={error} />}
+      {isLoading ? (
+        <div className="flex justify-center py-8"><Spinner size="lg" /></div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No status changes match these filters.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-max text-left">
+            <thead className="border-b border-gray-200 dark:border-gray-700">
+              <tr>
+                <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">When</th>
+                <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Application ID</th>
+                <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Change</th>
+                <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">By</th>
+                <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Reason</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {entries.map(entry => (
+                <tr key={entry.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                  <td className="p-4 text-sm text-gray-700 dark:text-gray-300">{formatAuditTime(entry.at)}</td>
+                  <td className="p-4">
+                    <span className="px-2 py-1 text-xs font-mono bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-md">
+                      {entry.applicationId}
+                    </span>
+                    <div className="mt-1 text-sm text-gray-500 dark:text-gray-400">{entry.guestName}</div>
+                  </td>
+                  <td className="p-4 text-sm text-gray-700 dark:text-gray-300">
+                    {entry.fromStatus || 'New'} → <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getStatusBadgeClasses(entry.toStatus)}`}>{entry.toStatus}</span>
+                  </td>
+                  <td className="p-4 text-sm text-gray-700 dark:text-gray-300">{formatAuditActor(entry)}</td>
+                  <td className="p-4 text-sm text-gray-700 dark:text-gray-300">{entry.reason || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {entries.length === AUDIT_LOG_PAGE_SIZE && (
+            <p className="mt-4 text-sm text-gray-500 dark:text-gray-400">
+              Showing the latest {AUDIT_LOG_PAGE_SIZE} changes. Narrow the dates to see older ones.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const REPORT_TYPES = [
+  { value: 'daily', label: 'Daily Arrivals & Departures' },
+  { value: 'occupancy', label: 'Monthly Occupancy Summary' },
+  { value: 'purpose', label: 'Purpose of Visit Breakdown' },
+];
+
+/**
+ * ReportsPage Component
+ * Printable reports for the administration. "Print" uses the browser's
+ * print dialog, which can also save the report as a PDF.
+ */
+function ReportsPage() {
+  const today = todayInGuesthouseTz();
+  const [type, setType] = useState('daily');
+  const [date, setDate] = useState(today);
+  const [month, setMonth] = useState(today.slice(0, 7));
+  const [bookings, setBookings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      if (type === 'daily') {
+        const [arriving, leaving] = await Promise.all([
+          getDocs(query(bookingsCollectionRef, where('checkIn', '==', date))),
+          getDocs(query(bookingsCollectionRef, where('checkOut', '==', date))),
+        ]);
+        return [...arriving.docs, ...leaving.docs].map(doc => ({ id: doc.id, ...doc.data() }));
+      }
+      const { from, to } = monthRange(month);
+      if (type === 'occupancy') {
+        return loadOccupyingBookings({ checkIn: from, checkOut: to }, STAYED_STATUSES);
+      }
+      const snapshot = await getDocs(query(bookingsCollectionRef, where('checkIn', '>=', from), where('checkIn', '<', to)));
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    };
+
+    setIsLoading(true);
+    setError(null);
+    load()
+      .then(setBookings)
+      .catch(err => {
+        console.error(err);
+        setError(`Failed to load the report: ${err.message}`);
+      })
+      .finally(() => setIsLoading(false));
+  }, [type, date, month]);
+
+  const monthLabel = new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const period = type === 'daily' ? date : monthLabel;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg print:shadow-none print:p-0 print:bg-white print:text-black">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mb-6 print:hidden">
+        <FormSelect label="Report" name="reportType" value={type} onChange={(e) => setType(e.target.value)} options={REPORT_TYPES} />
+        {type === 'daily'
+          ? <FormInput label="Date" name="reportDate" type="date" value={date} onChange={(e) => setDate(e.target.value)} required />
+          : <FormInput label="Month" name="reportMonth" type="month" value={month} onChange={(e) => setMonth(e.target.value)} required />}
+        <button
+          onClick={() => window.print()}
+          disabled={isLoading || Boolean(error)}
+          className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Printer size={20} className="mr-2" />
+          Print / Save as PDF
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <p className="text-sm text-gray-500 dark:text-gray-400 print:text-black">{UNIVERSITY_NAME} &middot; {APP_TITLE}</p>
+        <h2 className="text-2xl font-semibold text-gray-900 dark:text-white print:text-black">
+          {REPORT_TYPES.find(report => report.value === type).label}
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 print:text-black">
+          {period} &middot; generated {new Date().toLocaleString()}
+        </p>
+      </div>
+
+      {error && <FormAlert type="error" message={error} />}
+      {isLoading ? (
+        <div className="flex justify-center py-8"><Spinner size="lg" /></div>
+      ) : !error && (
+        <>
+          {type === 'daily' && <DailyMovementReport {...arrivalsAndDepartures(bookings, date)} />}
+          {type === 'occupancy' && <OccupancyReport summary={monthlyOccupancy(bookings, month)} />}
+          {type === 'purpose' && <PurposeReport rows={purposeBreakdown(bookings)} />}
+        </>
+      )}
+    </div>
+  );
+}
+
+function ReportTable({ headers, rows, footer }) {
+  return (
+    <table className="w-full text-left text-sm border-collapse mb-8">
+      <thead>
+        <tr className="border-b-2 border-gray-300 dark:border-gray-600 print:border-black">
+          {headers.map(header => (
+            <th key={header} className="p-2 font-semibold text-gray-600 dark:text-gray-300 print:text-black">{header}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, i) => (
+          <tr key={i} className="border-b border-gray-200 dark:border-gray-700 print:border-gray-400">
+            {row.map((cell, j) => <td key={j} className="p-2 text-gray-800 dark:text-gray-200 print:text-black">{cell}</td>)}
+          </tr>
+        ))}
+        {rows.length === 0 && (
+          <tr><td colSpan={headers.length} className="p-2 text-gray-500 dark:text-gray-400">None</td></tr>
+        )}
+      </tbody>
+      {footer && (
+        <tfoot>
+          <tr className="border-t-2 border-gray-300 dark:border-gray-600 print:border-black font-semibold">
+            {footer.map((cell, j) => <td key={j} className="p-2 text-gray-900 dark:text-white print:text-black">{cell}</td>)}
+          </tr>
+        </tfoot>
+      )}
+    </table>
+  );
+}
+
+function ReportHeading({ children }) {
+  return <h3 className="text-lg font-semibold text-gray-900 dark:text-white print:text-black mb-2">{children}</h3>;
+}
+
+/**
+ * Sheet for the reception: who arrives and who leaves, with space to sign.
+ */
+function DailyMovementReport({ arrivals, departures }) {
+  const row = (booking) => [
+    booking.applicationId,
+    booking.name,
+    booking.phone,
+    booking.guestCount,
+    booking.roomIds?.length ? formatRoomIds(booking.roomIds) : '—',
+    `${booking.checkIn} to ${booking.checkOut}`,
+    '',
+  ];
+  const headers = ['Application ID', 'Name', 'Phone', 'Guests', 'Rooms', 'Stay', 'Signature'];
+  return (
+    <>
+      <ReportHeading>Arrivals ({arrivals.length})</ReportHeading>
+      <ReportTable headers={headers} rows={arrivals.map(row)} />
+      <ReportHeading>Departures ({departures.length})</ReportHeading>
+      <ReportTable headers={headers} rows={departures.map(row)} />
+    </>
+  );
+}
+
+function OccupancyReport({ summary }) {
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  return (
+    <>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        <StatusItem label="Occupancy" value={percent(summary.occupancyRate)} />
+        <StatusItem label="Room-nights booked" value={`${summary.roomNights} / ${summary.capacity}`} />
+        <StatusItem label="Arrivals" value={String(summary.arrivals)} />
+        <StatusItem label="Guest-nights" value={String(summary.guestNights)} />
+      </div>
+      <ReportHeading>Rooms booked per night</ReportHeading>
+      <ReportTable
+        headers={['Date', 'Rooms booked', 'Rooms free', 'Occupancy']}
+        rows={summary.nights.map(night => [
+          night.date,
+          night.bookedRooms,
+          night.freeRooms,
+          percent(night.totalRooms ? night.bookedRooms / night.totalRooms : 0),
+        ])}
+        footer={['Total', summary.roomNights, summary.capacity - summary.roomNights, percent(summary.occupancyRate)]}
+      />
+    </>
+  );
+}
+
+function PurposeReport({ rows }) {
+  const sum = (pick) => rows.reduce((total, row) => total + pick(row), 0);
+  return (
+    <>
+      <ReportHeading>Bookings by purpose of visit (by check-in date)</ReportHeading>
+      <ReportTable
+        headers={['Purpose', 'Bookings', ...BOOKING_STATUSES, 'Guests']}
+        rows={rows.map(row => [
+          row.label,
+          row.total,
+          ...BOOKING_STATUSES.map(status => row.byStatus[status] || 0),
+          row.guests,
+        ])}
+        footer={[
+          'Total',
+          sum(row => row.total),
+          ...BOOKING_STATUSES.map(status => sum(row => row.byStatus[status] || 0)),
+          sum(row => row.guests),
+        ]}
+      />
+    </>
+  );
+}
+
+/**
+ * AnalyticsPanel Component
+ * Trends over a chosen check-in range. /api/analytics works the figures
+ * out with aggregation queries, so this never loads the bookings.
+ */
+function AnalyticsPanel() {
+  const today = todayInGuesthouseTz();
+  const [range, setRange] = useState({ from: shiftMonth(today, -5), to: addDays(shiftMonth(today, 1), -1) });
+  const [analytics, setAnalytics] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // The "to" date is inclusive here and exclusive on the server
+  const to = range.to && addDays(range.to, 1);
+  const rangeError = !range.from || !range.to ? 'Choose both dates.'
+    : to <= range.from ? 'The end date must not be before the start date.'
+    : daysBetween(range.from, to) > ANALYTICS_MAX_DAYS ? `Choose a range of at most ${ANALYTICS_MAX_DAYS} days.`
+    : null;
+
+  useEffect(() => {
+    if (rangeError) return;
+    setIsLoading(true);
+    setError(null);
+    apiRequest(`/api/analytics?from=${range.from}&to=${to}`)
+      .then(setAnalytics)
+      .catch(err => {
+        console.error(err);
+        setError(`Failed to load analytics: ${err.message}`);
+      })
+      .finally(() => setIsLoading(false));
+  }, [range.from, to, rangeError]);
+
+  const percent = (value) => value == null ? '—' : `${(value * 100).toFixed(1)}%`;
+  const decimal = (value, unit) => value == null ? '—' : `${value.toFixed(1)} ${unit}`;
+  const monthLabel = (month) => new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' });
+  const bucketLabel = (start, bucket) => bucket === 'month' ? monthLabel(start.slice(0, 7)) : formatCalendarDay(start);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mb-6">
+        <FormInput label="Check-in from" name="analyticsFrom" type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} required />
+        <FormInput label="Check-in to" name="analyticsTo" type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} required />
+      </div>
+
+      {(rangeError || error) && <FormAlert type="error" message={rangeError || error} />}
+      {!rangeError && (isLoading || !analytics ? (
+        <div className="flex justify-center py-8"><Spinner size="lg" /></div>
+      ) : !error && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-8">
+            <StatusItem label="Bookings" value={String(analytics.total)} />
+            <StatusItem label="Occupancy" value={percent(analytics.occupancy.rate)} />
+            <StatusItem label="Average stay" value={decimal(analytics.averageNights, 'nights')} />
+            <StatusItem label="Average lead time" value={decimal(analytics.averageLeadDays, 'days')} />
+            <StatusItem label="Approval turnaround" value={decimal(analytics.averageDecisionHours, 'hours')} />
+            <StatusItem label="Rejection rate" value={percent(analytics.rejectionRate)} />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div>
+              <ReportHeading>Occupancy by {analytics.occupancy.bucket}</ReportHeading>
+              <ColumnChart
+                max={1}
+                color="bg-blue-500"
+                points={analytics.occupancy.points.map(point => ({
+                  label: bucketLabel(point.start, analytics.occupancy.bucket),
+                  value: point.rate,
+                  title: percent(point.rate),
+                }))}
+              />
+            </div>
+            <div>
+              <ReportHeading>Bookings by check-in month</ReportHeading>
+              <ColumnChart
+                color="bg-green-500"
+                points={analytics.perMonth.map(({ month, count }) => ({ label: monthLabel(month), value: count, title: String(count) }))}
+              />
+            </div>
+            <div>
+              <ReportHeading>Bookings by purpose</ReportHeading>
+              <ShareBars rows={analytics.byPurpose.map(({ label, count }) => ({ label, count }))} total={analytics.total} />
+            </div>
+            <div>
+              <ReportHeading>Bookings by status</ReportHeading>
+              <ShareBars rows={BOOKING_STATUSES.map(status => ({ label: status, count: analytics.byStatus[status] || 0 }))} total={analytics.total} />
+            </div>
+          </div>
+        </>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Vertical bars for a series; values are scaled to `max` (or the largest).
+ */
+function ColumnChart({ points, max, color }) {
+  const top = max ?? Math.max(1, ...points.map(point => point.value));
+  return (
+    <div className="flex items-end h-48 gap-1 border-b border-gray-300 dark:border-gray-600">
+      {points.map(point => (
+        <div key={point.label} className="flex-1 h-full flex flex-col justify-end items-center min-w-0" title={`${point.label}: ${point.title}`}>
+          <div className={`w-full rounded-t ${color}`} style={{ height: `${(point.value / top) * 100}%` }} />
+          <span className="mt-1 text-xs text-gray-500 dark:text-gray-400 truncate w-full text-center">{point.label}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Horizontal bars showing each row's share of the total.
+ */
+function ShareBars({ rows, total }) {
+  return (
+    <div className="space-y-3">
+      {rows.map(row => (
+        <div key={row.label}>
+          <div className="flex justify-between text-sm text-gray-700 dark:text-gray-300">
+            <span>{row.label}</span>
+            <span>{row.count}{total > 0 && ` (${((row.count / total) * 100).toFixed(0)}%)`}</span>
+          </div>
+          <div className="h-2 rounded bg-gray-200 dark:bg-gray-700">
+            <div className="h-2 rounded bg-blue-500" style={{ width: `${total ? (row.count / total) * 100 : 0}%` }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * AdminSettings Component
+ * Super admins invite admins, change their roles, disable accounts and
+ * revoke access. Everything goes through /api/admins, which also keeps
+ * Firebase Auth in step. The tariff is set here too.
+ */
+function AdminSettings({ currentUser }) {
+  const [admins, setAdmins] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [invite, setInvite] = useState({ email: '', role: ROLES.VIEWER });
+  const [isInviting, setIsInviting] = useState(false);
+
+  const loadAdmins = async () => {
+    try {
+      const res = await apiRequest('/api/admins');
+      setAdmins(res.admins.sort((a, b) => a.email.localeCompare(b.email)));
+    } catch (err) {
+      console.error(err);
+      setError(`Failed to load admins: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAdmins();
+  }, []);
+
+  const runAction = async (request, message) => {
+    setError(null);
+    setSuccess(null);
+    try {
+      await request();
+      setSuccess(message);
+      await loadAdmins();
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setIsInviting(true);
+    await runAction(
+      () => apiRequest('/api/admins', { method: 'POST', body: invite }),
+      `Invitation sent to ${invite.email}.`
+    );
+    setInvite({ email: '', role: ROLES.VIEWER });
+    setIsInviting(false);
+  };
+
+  const handleRoleChange = (admin, role) => runAction(
+    () => apiRequest('/api/admins', { method: 'PATCH', body: { uid: admin.uid, role } }),
+    `${admin.email} is now ${ROLE_LABELS[role]}.`
+  );
+
+  const handleToggleDisabled = (admin) => runAction(
+    () => apiRequest('/api/admins', { method: 'PATCH', body: { uid: admin.uid, disabled: !admin.disabled } }),
+    `${admin.email} has been ${admin.disabled ? 'enabled' : 'disabled'}.`
+  );
+
+  const handleRevoke = (admin) => {
+    if (!window.confirm(`Revoke admin access for ${admin.email}?`)) return;
+    return runAction(
+      () => apiRequest('/api/admins', { method: 'DELETE', body: { uid: admin.uid } }),
+      `Admin access revoked for ${admin.email}.`
+    );
+  };
+
+  const roleOptions = Object.values(ROLES).map(value => ({ value, label: ROLE_LABELS[value] }));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Invite Admin</h2>
+        <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <FormInput
+            label="Email"
+            name="inviteEmail"
+            type="email"
+            value={invite.email}
+            onChange={(e) => setInvite(prev => ({ ...prev, email: e.target.value }))}
+            required
+          />
+          <FormSelect
+            label="Role"
+            name="inviteRole"
+            value={invite.role}
+            onChange={(e) => setInvite(prev => ({ ...prev, role: e.target.value }))}
+            options={roleOptions}
+          />
+          <button
+            type="submit"
+            disabled={isInviting}
+            className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isInviting ? <Spinner /> : <Mail size={20} className="mr-2" />}
+            Send Invite
+          </button>
+        </form>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Admins</h2>
+        {error && <FormAlert type="error" message={error} />}
+        {success && <FormAlert type="success" message={success} />}
+        {isLoading ? (
+          <div className="flex justify-center py-8"><Spinner size="lg" /></div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-max text-left">
+              <thead className="border-b border-gray-200 dark:border-gray-700">
+                <tr>
+                  <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Email</th>
+                  <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Role</th>
+                  <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Status</th>
+                  <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Last Sign-in</th>
+                  <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {admins.map(admin => {
+                  const isSelf = admin.uid === currentUser.uid;
+                  return (
+                    <tr key={admin.uid} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                      <td className="p-4 font-medium text-gray-900 dark:text-white">
+                        {admin.email}{isSelf && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">(you)</span>}
+                      </td>
+                      <td className="p-4">
+                        <select
+                          value={admin.role}
+                          disabled={isSelf}
+                          onChange={(e) => handleRoleChange(admin, e.target.value)}
+                          className="px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 disabled:opacity-50"
+                        >
+                          {roleOptions.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="p-4">
+                        <span className={`px-3 py-1 text-sm font-medium rounded-full ${
+                          admin.disabled
+                            ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100'
+                            : 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100'
+                        }`}>
+                          {admin.disabled ? 'Disabled' : 'Active'}
+                        </span>
+                      </td>
+                      <td className="p-4 text-sm text-gray-700 dark:text-gray-300">
+                        {admin.lastSignInAt ? new Date(admin.lastSignInAt).toLocaleString() : 'Never'}
+                      </td>
+                      <td className="p-4 space-x-3 text-sm">
+                        {!isSelf && (
+                          <>
+                            <button onClick={() => handleToggleDisabled(admin)} className="text-blue-600 dark:text-blue-400 hover:underline">
+                              {admin.disabled ? 'Enable' : 'Disable'}
+                            </button>
+                            <button onClick={() => handleRevoke(admin)} className="text-red-600 dark:text-red-400 hover:underline">
+                              Revoke
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <TariffSettings currentUser={currentUser} />
+    </div>
+  );
+}
+
+/**
+ * TariffSettings Component
+ * Room rates per purpose category, extra-guest charges, seasons and taxes.
+ * Saved straight to Firestore; estimates update as soon as it is saved and
+ * invoices use it from then on.
+ */
+function TariffSettings({ currentUser }) {
+  const tariff = useTariff();
+  const [draft, setDraft] = useState(null); // unsaved edits, over the live tariff
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null); // { type, message }
+  const form = draft || tariff;
+
+  const edit = (update) => setDraft(prev => update(structuredClone(prev || tariff)));
+  const setRate = (category, type, value) => edit(next => { next.rates[category][type] = value; return next; });
+  const setExtraGuest = (category, value) => edit(next => { next.extraGuest[category] = value; return next; });
+  const setItem = (list, i, field, value) => edit(next => { next[list][i][field] = value; return next; });
+  const addItem = (list, item) => edit(next => { next[list].push(item); return next; });
+  const removeItem = (list, i) => edit(next => { next[list].splice(i, 1); return next; });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus(null);
+    const { errors: found, value } = validateTariff(form);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    setIsSaving(true);
+    try {
+      await setDoc(tariffDocRef, { ...value, updatedAt: serverTimestamp(), updatedBy: currentUser.email.toLowerCase() });
+      setDraft(null);
+      setStatus({ type: 'success', message: 'Tariff saved. New estimates and invoices use it from now on.' });
+    } catch (err) {
+      console.error(err);
+      setStatus({ type: 'error', message: `Failed to save the tariff: ${err.message}` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fieldError = (path) => errors[path] && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{errors[path]}</p>;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">Tariff</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        Rates are per room per night for one guest, in rupees. Each extra guest in a room is charged per night on top.
+      </p>
+      {status && <FormAlert type={status.type} message={status.message} />}
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {Object.entries(TARIFF_CATEGORIES).map(([category, label]) => (
+          <FormSection key={category} title={`${label} (${categoryPurposes(category).join(', ')})`}>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {Object.entries(ROOM_TYPES).map(([type, roomType]) => (
+                <div key={type}>
+                  <FormInput
+                    label={roomType.label}
+                    name={`rates.${category}.${type}`}
+                    type="number"
+                    min="0"
+                    value={form.rates[category][type]}
+                    onChange={(e) => setRate(category, type, e.target.value)}
+                    required
+                  />
+                  {fieldError(`rates.${category}.${type}`)}
+                </div>
+              ))}
+              <div>
+                <FormInput
+                  label="Extra guest"
+                  name={`extraGuest.${category}`}
+                  type="number"
+                  min="0"
+                  value={form.extraGuest[category]}
+                  onChange={(e) => setExtraGuest(category, e.target.value)}
+                  required
+                />
+                {fieldError(`extraGuest.${category}`)}
+              </div>
+            </div>
+          </FormSection>
+        ))}
+
+        <FormSection title="Seasons">
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            Nights between the two dates (MM-DD, inclusive) cost the given percentage more; use a negative figure for a discount.
+          </p>
+          {form.seasons.map((season, i) => (
+            <div key={i} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end mb-4">
+              <div className="md:col-span-2">
+                <FormInput label="Name" name={`seasons.${i}.name`} value={season.name} onChange={(e) => setItem('seasons', i, 'name', e.target.value)} required />
+                {fieldError(`seasons.${i}.name`)}
+              </div>
+              <div>
+                <FormInput label="From" name={`seasons.${i}.from`} placeholder="12-20" value={season.from} onChange={(e) => setItem('seasons', i, 'from', e.target.value)} required />
+                {fieldError(`seasons.${i}.from`)}
+              </div>
+              <div>
+                <FormInput label="To" name={`seasons.${i}.to`} placeholder="01-05" value={season.to} onChange={(e) => setItem('seasons', i, 'to', e.target.value)} required />
+                {fieldError(`seasons.${i}.to`)}
+              </div>
+              <div className="flex items-end gap-2">
+                <div className="flex-1">
+                  <FormInput label="Change %" name={`seasons.${i}.percent`} type="number" value={season.percent} onChange={(e) => setItem('seasons', i, 'percent', e.target.value)} required />
+                  {fieldError(`seasons.${i}.percent`)}
+                </div>
+                <button type="button" onClick={() => removeItem('seasons', i)} className="p-3 text-red-600 dark:text-red-400 hover:underline" aria-label={`Remove ${season.name || 'season'}`}>
+                  <X size={20} />
+                </button>
+              </div>
+            </div>
+          ))}
+          <button type="button" onClick={() => addItem('seasons', { name: '', from: '', to: '', percent: 0 })} className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+            Add season
+          </button>
+        </FormSection>
+
+        <FormSection title="Taxes">
+          {form.taxes.map((tax, i) => (
+            <div key={i} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mb-4">
+              <div>
+                <FormInput label="Name" name={`taxes.${i}.name`} value={tax.name} onChange={(e) => setItem('taxes', i, 'name', e.target.value)} required />
+                {fieldError(`taxes.${i}.name`)}
+              </div>
+              <div className="flex items-end gap-2">
+                <div className="flex-1">
+                  <FormInput label="Rate %" name={`taxes.${i}.percent`} type="number" min="0" max="100" step="0.01" value={tax.percent} onChange={(e) => setItem('taxes', i, 'percent', e.target.value)} required />
+                  {fieldError(`taxes.${i}.percent`)}
+                </div>
+                <button type="button" onClick={() => removeItem('taxes', i)} className="p-3 text-red-600 dark:text-red-400 hover:underline" aria-label={`Remove ${tax.name || 'tax'}`}>
+                  <X size={20} />
+                </button>
+              </div>
+            </div>
+          ))}
+          <button type="button" onClick={() => addItem('taxes', { name: '', percent: 0 })} className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+            Add tax
+          </button>
+        </FormSection>
+
+        <div className="flex justify-end gap-4">
+          {draft && (
+            <button type="button" onClick={() => { setDraft(null); setErrors({}); }} className="px-6 py-3 text-base font-medium rounded-lg text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600">
+              Discard changes
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving || !draft}
+            className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSaving && <Spinner />}
+            Save Tariff
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * RoomAssignmentDialog Component
+ * Picks the rooms for a booking, offering only rooms that are free for
+ * the whole stay. Used both when approving and when moving a guest.
+ */
+function RoomAssignmentDialog({ booking, bookings, mode, onConfirm, onClose }) {
+  const [selected, setSelected] = useState(booking.roomIds || []);
+  const [remarks, setRemarks] = useState({ preset: '', note: '' });
+  const guestCount = Number(booking.guestCount) || 1;
+
+  const freeRooms = getFreeRooms({
+    bookings,
+    checkIn: booking.checkIn,
+    checkOut: booking.checkOut,
+    excludeId: booking.id,
+  });
+  // A party larger than every room needs several rooms
+  const largestRoom = Math.max(...ROOMS.map(room => room.capacity));
+  const offeredRooms = guestCount > largestRoom
+    ? freeRooms
+    : freeRooms.filter(room => room.capacity >= guestCount);
+  const selectedCapacity = roomsCapacity(selected);
+
+  const toggleRoom = (roomId) => {
+    if (guestCount <= largestRoom) {
+      setSelected([roomId]);
+    } else {
+      setSelected(prev => prev.includes(roomId) ? prev.filter(id => id !== roomId) : [...prev, roomId]);
+    }
+  };
+
+  return (
+    <Modal title={mode === 'approve' ? 'Approve & Assign Room' : 'Change Room'} onClose={onClose}>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        {booking.name} ({booking.applicationId}) &middot; {booking.checkIn} to {booking.checkOut} &middot; {guestCount} guest{guestCount > 1 ? 's' : ''}
+      </p>
+
+      {offeredRooms.length === 0 ? (
+        <FormAlert type="error" message="No suitable room is free for the whole stay." />
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-6">
+          {offeredRooms.map(room => (
+            <button
+              key={room.id}
+              type="button"
+              onClick={() => toggleRoom(room.id)}
+              className={`p-3 rounded-lg border text-left transition-colors ${
+                selected.includes(room.id)
+                  ? 'border-blue-600 bg-blue-50 dark:bg-blue-900 text-blue-800 dark:text-blue-100'
+                  : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700'
+              }`}
+            >
+              <div className="flex items-center font-semibold">
+                <BedDouble size={16} className="mr-2" /> Room {room.id}
+              </div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                {ROOM_TYPES[room.type].label} &middot; sleeps {room.capacity}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {guestCount > largestRoom && (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          Select rooms for {guestCount} guests ({selectedCapacity} beds selected).
+        </p>
+      )}
+
+      {mode === 'approve' && (
+        <div className="mb-6">
+          <ReasonPicker status="Approved" value={remarks} onChange={setRemarks} />
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onConfirm(selected, composeReason(remarks.preset, remarks.note))}
+          disabled={selected.length === 0 || selectedCapacity < guestCount}
+          className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {mode === 'approve' ? 'Approve' : 'Move Guest'}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/**
+ * StatusReasonDialog Component
+ * Asks for the reason before bookings are rejected or cancelled; each
+ * guest sees it in the email and on the status page.
+ */
+function StatusReasonDialog({ bookings, status, onConfirm, onClose }) {
+  const [value, setValue] = useState({ preset: '', note: '' });
+  const reason = composeReason(value.preset, value.note);
+  const [first] = bookings;
+
+  return (
+    <Modal title={`${actionLabel(status)} ${bookings.length === 1 ? first.applicationId : `${bookings.length} bookings`}`} onClose={onClose}>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        {bookings.length === 1
+          ? <>{first.name} &middot; {first.checkIn} to {first.checkOut}</>
+          : 'Every selected guest receives this reason.'}
+      </p>
+      <div className="mb-6">
+        <ReasonPicker status={status} value={value} onChange={setValue} />
+      </div>
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onConfirm(reason)}
+          disabled={reasonRequired(status) && !reason}
+          className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {actionLabel(status)}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+/**
+ * Preset reasons for a status plus free text. `value` is { preset, note }.
+ */
+function ReasonPicker({ status, value, onChange }) {
+  const label = reasonRequired(status) ? 'Reason' : 'Remarks for the guest';
+  const options = [
+    { value: '', label: reasonRequired(status) ? 'Select a reason...' : 'No preset remark' },
+    ...DECISION_REASONS[status].map(reason => ({ value: reason, label: reason })),
+  ];
+
+  return (
+    <div className="space-y-3">
+      <FormSelect
+        label={label}
+        name="reasonPreset"
+        value={value.preset}
+        onChange={(e) => onChange({ ...value, preset: e.target.value })}
+        options={options}
+      />
+      <div>
+        <label htmlFor="reasonNote" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          {value.preset ? 'Additional details (optional)' : 'Or write your own'}
+        </label>
+        <textarea
+          id="reasonNote"
+          name="reasonNote"
+          rows={3}
+          maxLength={MAX_REASON_LENGTH}
+          value={value.note}
+          onChange={(e) => onChange({ ...value, note: e.target.value })}
+          className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+    </div>
+  );
+}
+
+// --- Helper & Utility Components ---
+
+function AdminNavItem({ icon: Icon, label, isActive, onClick, isSidebarOpen }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg transition-colors duration-200 ${
+        isActive
+          ? 'bg-blue-600 text-white shadow-lg'
+          : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+      } ${!isSidebarOpen && 'justify-center'}`}
+    >
+      <Icon size={20} />
+      <span className={!isSidebarOpen ? 'hidden' : ''}>{label}</span>
+    </button>
+  );
+}
+
+/**
+ * BookingFilters Component
+ * Search box, filters and sort order for the bookings table. The search
+ * is applied on submit; everything else applies as soon as it changes.
+ */
+function BookingFilters({ filters, sort, hasDateRange, onFiltersChange, onSortChange }) {
+  const [search, setSearch] = useState(filters.search);
+
+  const handleChange = (e) => onFiltersChange({ [e.target.name]: e.target.value });
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    onFiltersChange({ search });
+  };
+
+  const handleReset = () => {
+    setSearch('');
+    onFiltersChange(EMPTY_BOOKING_FILTERS);
+  };
+
+  const sortOptions = hasDateRange
+    ? BOOKING_SORT_OPTIONS.filter(option => option.value.startsWith('checkIn:'))
+    : BOOKING_SORT_OPTIONS;
+
+  return (
+    <div className="mb-6 space-y-4">
+      <form onSubmit={handleSearch} className="flex flex-col sm:flex-row gap-4">
+        <label htmlFor="booking-search" className="sr-only">Search bookings</label>
+        <input
+          id="booking-search"
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name, email, phone or Application ID"
+          className="flex-grow w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          className="inline-flex justify-center items-center px-6 py-3 text-base font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700"
+        >
+          <Search size={20} className="mr-2" />
+          Search
+        </button>
+      </form>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-4 items-end">
+        <FormSelect
+          label="Status"
+          name="status"
+          value={filters.status}
+          onChange={handleChange}
+          options={[{ value: '', label: 'All' }, ...BOOKING_STATUSES.map(status => ({ value: status, label: status }))]}
+        />
+        <FormSelect
+          label="Purpose"
+          name="purpose"
+          value={filters.purpose}
+          onChange={handleChange}
+          options={[{ value: '', label: 'All' }, ...Object.entries(PURPOSES).map(([value, label]) => ({ value, label }))]}
+        />
+        <FormSelect
+          label="ID Proof"
+          name="idProof"
+          value={filters.idProof}
+          onChange={handleChange}
+          options={[{ value: '', label: 'All' }, ...Object.entries(ID_PROOF_TYPES).map(([value, { label }]) => ({ value, label }))]}
+        />
+        <FormInput label="Check-in From" name="checkInFrom" type="date" value={filters.checkInFrom} onChange={handleChange} />
+        <FormInput label="Check-in To" name="checkInTo" type="date" value={filters.checkInTo} min={filters.checkInFrom || undefined} onChange={handleChange} />
+        <FormSelect
+          label="Sort By"
+          name="sort"
+          value={`${sort.field}:${sort.direction}`}
+          onChange={(e) => {
+            const [field, direction] = e.target.value.split(':');
+            onSortChange({ field, direction });
+          }}
+          options={sortOptions}
+        />
+      </div>
+      <div className="flex justify-between items-center text-sm text-gray-500 dark:text-gray-400">
+        <span>{hasDateRange && 'Sorted by check-in date while a check-in range is set.'}</span>
+        <button type="button" onClick={handleReset} className="text-blue-600 dark:text-blue-400 hover:underline">
+          Clear filters
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * BulkActionBar Component
+ * Actions for the bookings ticked in the list or grid. Viewers can only
+ * export.
+ */
+function BulkActionBar({ count, canEdit, isRunning, onAction, onClear }) {
+  const buttonClasses = 'inline-flex items-center px-3 py-2 text-sm font-medium rounded-lg disabled:opacity-50';
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-3 p-3 rounded-lg bg-blue-50 dark:bg-gray-700">
+      <span className="text-sm font-medium text-blue-800 dark:text-blue-200">{count} selected</span>
+      {canEdit && (
+        <>
+          <button onClick={() => onAction(BOOKING_STATES.APPROVED)} disabled={isRunning} className={`${buttonClasses} text-white bg-green-600 hover:bg-green-700`}>
+            Approve
+          </button>
+          <button onClick={() => onAction(BOOKING_STATES.REJECTED)} disabled={isRunning} className={`${buttonClasses} text-white bg-red-600 hover:bg-red-700`}>
+            Reject
+          </button>
+          <button onClick={() => onAction(BOOKING_STATES.CANCELLED)} disabled={isRunning} className={`${buttonClasses} text-gray-700 dark:text-gray-200 bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500`}>
+            Cancel Bookings
+          </button>
+        </>
+      )}
+      <button onClick={() => onAction('export')} disabled={isRunning} className={`${buttonClasses} text-blue-700 dark:text-blue-200 border border-blue-300 dark:border-gray-500 hover:bg-blue-100 dark:hover:bg-gray-600`}>
+        <Download size={16} className="mr-1" /> Export
+      </button>
+      {isRunning && <Spinner />}
+      <button onClick={onClear} disabled={isRunning} className="ml-auto text-sm text-blue-600 dark:text-blue-400 hover:underline">
+        Clear selection
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Outcome of a bulk status change, listing every booking that failed.
+ */
+function BulkReport({ report, onDismiss }) {
+  const { status, succeeded, failures } = report;
+  const hasFailures = failures.length > 0;
+  return (
+    <div className={`mb-4 p-4 rounded-lg text-sm ${
+      hasFailures
+        ? 'bg-yellow-50 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100'
+        : 'bg-green-50 text-green-800 dark:bg-green-900 dark:text-green-100'
+    }`}>
+      <div className="flex justify-between items-start">
+        <p className="font-medium">
+          {succeeded} booking(s) {status.toLowerCase()}.
+          {hasFailures && ` ${failures.length} could not be changed and are still selected:`}
+        </p>
+        <button onClick={onDismiss} className="p-1 rounded-full hover:bg-black hover:bg-opacity-10">
+          <X size={16} />
+        </button>
+      </div>
+      {hasFailures && (
+        <ul className="mt-2 list-disc list-inside space-y-1">
+          {failures.map(({ booking, error }) => (
+            <li key={booking.id}>{booking.applicationId} ({booking.name}): {error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * ExportDialog Component
+ * Exports bookings to CSV or Excel with the columns the admin picks.
+ * ID numbers stay masked unless explicitly requested.
+ */
+function ExportDialog({ title, loadBookings, onClose }) {
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [showIdNumbers, setShowIdNumbers] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleColumn = (key) => {
+    setColumns(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const bookings = await loadBookings();
+      const options = { columns, maskIds: !showIdNumbers };
+      const filename = `bookings-${todayInGuesthouseTz()}`;
+      if (format === 'xlsx') {
+        // Loaded on demand to keep the Excel writer out of the main bundle
+        const { default: writeXlsxFile } = await import('write-excel-file/browser');
+        await writeXlsxFile(bookingExportRows(bookings, options), { sheet: 'Bookings' }).toFile(`${filename}.xlsx`);
+      } else {
+        downloadFile(`${filename}.csv`, bookingsToCsv(bookings, options), 'text/csv');
+      }
+      onClose();
+    } catch (err) {
+      console.error(err);
+      setError(`Export failed: ${err.message}`);
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Modal title={title} onClose={onClose}>
+      {error && <FormAlert type="error" message={error} />}
+      <div className="space-y-4 mb-6">
+        <FormSelect
+          label="Format"
+          name="exportFormat"
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          options={[{ value: 'csv', label: 'CSV' }, { value: 'xlsx', label: 'Excel (.xlsx)' }]}
+        />
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Columns</legend>
+          <div className="grid grid-cols-2 gap-2">
+            {BOOKING_EXPORT_COLUMNS.map(column => (
+              <FormCheckbox
+                key={column.key}
+                label={column.label}
+                name={`column-${column.key}`}
+                checked={columns.includes(column.key)}
+                onChange={() => toggleColumn(column.key)}
+              />
+            ))}
+          </div>
+        </fieldset>
+        {columns.includes('idNumber') && (
+          <FormCheckbox
+            label="Show full ID numbers (masked by default)"
+            name="showIdNumbers"
+            checked={showIdNumbers}
+            onChange={(e) => setShowIdNumbers(e.target.checked)}
+          />
+        )}
       </div>
-    </div>
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 text-sm font-medium rounded-lg text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={isExporting || columns.length === 0}
+          className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isExporting ? <Spinner /> : <Download size={16} className="mr-1" />}
+          Export
+        </button>
+      </div>
+    </Modal>
   );
 }
 
-// --- Helper & Utility Components ---
-
-function AdminNavItem({ icon: Icon, label, isActive, onClick, isSidebarOpen }) {
+/**
+ * Column header that sorts the bookings table by `field`; a second click
+ * flips the direction.
+ */
+function SortableHeader({ label, field, sort, disabled, onSort }) {
+  const isActive = sort.field === field;
+  const SortIcon = isActive && sort.direction === 'asc' ? ChevronUp : ChevronDown;
   return (
-    <button
-      onClick={onClick}
-      className={`w-full flex items-center space-x-3 px-4 py-3 rounded-lg transition-colors duration-200 ${
-        isActive
-          ? 'bg-blue-600 text-white shadow-lg'
-          : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
-      } ${!isSidebarOpen && 'justify-center'}`}
-    >
-      <Icon size={20} />
-      <span className={!isSidebarOpen ? 'hidden' : ''}>{label}</span>
-    </button>
+    <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">
+      <button
+        type="button"
+        onClick={() => onSort({ field, direction: isActive && sort.direction === 'asc' ? 'desc' : 'asc' })}
+        disabled={disabled}
+        className={`inline-flex items-center disabled:cursor-not-allowed ${isActive ? 'text-blue-600 dark:text-blue-400' : ''}`}
+      >
+        {label}
+        <SortIcon size={14} className={`ml-1 ${isActive ? '' : 'opacity-30'}`} />
+      </button>
+    </th>
   );
 }
 
-function BookingList({ bookings, onStatusChange }) {
+function BookingList({ bookings, notifications, canEdit, selected, sort, sortLocked, onSort, onToggleSelected, onToggleSelectedPage, onStatusChange, onChangeRoom, onResendNotification, onShowHistory, tariff, onIssueInvoice }) {
   return (
     <div className="overflow-x-auto">
       <table className="w-full min-w-max text-left">
         <thead className="border-b border-gray-200 dark:border-gray-700">
           <tr>
-            <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Applicant</th>
-            <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Dates</th>
+            <th className="p-4">
+              <input
+                type="checkbox"
+                aria-label="Select all bookings on this page"
+                checked={bookings.length > 0 && bookings.every(booking => selected[booking.id])}
+                onChange={onToggleSelectedPage}
+                className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+            </th>
+            <SortableHeader label="Applicant" field="name" sort={sort} disabled={sortLocked} onSort={onSort} />
+            <SortableHeader label="Dates" field="checkIn" sort={sort} onSort={onSort} />
+            <SortableHeader label="Submitted" field="submittedAt" sort={sort} disabled={sortLocked} onSort={onSort} />
             <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Application ID</th>
+            <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Room</th>
+            <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Charge</th>
             <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Status</th>
-            <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Actions</th>
+            {canEdit && <th className="p-4 text-sm font-semibold text-gray-500 dark:text-gray-400">Actions</th>}
           </tr>
         </thead>
         <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
           {bookings.map(booking => (
-            <tr key={booking.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+            <tr key={booking.id} className={`hover:bg-gray-50 dark:hover:bg-gray-700 ${selected[booking.id] ? 'bg-blue-50 dark:bg-gray-700' : ''}`}>
+              <td className="p-4">
+                <input
+                  type="checkbox"
+                  aria-label={`Select ${booking.applicationId}`}
+                  checked={Boolean(selected[booking.id])}
+                  onChange={() => onToggleSelected(booking)}
+                  className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+              </td>
               <td className="p-4">
                 <div className="font-medium text-gray-900 dark:text-white">{booking.name}</div>
                 <div className="text-sm text-gray-500 dark:text-gray-400">{booking.email}</div>
@@ -1154,31 +4788,47 @@ function BookingList({ bookings, onStatusChange }) {
               <td className="p-4 text-sm text-gray-700 dark:text-gray-300">
                 {booking.checkIn} to {booking.checkOut}
               </td>
+              <td className="p-4 text-sm text-gray-700 dark:text-gray-300">
+                {booking.submittedAt ? new Date(booking.submittedAt).toLocaleDateString() : '—'}
+              </td>
               <td className="p-4">
                 <span className="px-2 py-1 text-xs font-mono bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-md">
                   {booking.applicationId}
                 </span>
               </td>
+              <td className="p-4 text-sm text-gray-700 dark:text-gray-300">
+                {booking.roomIds?.length ? formatRoomIds(booking.roomIds) : '—'}
+                {canEdit && booking.status === BOOKING_STATES.APPROVED && (
+                  <button onClick={() => onChangeRoom(booking)} className="ml-2 text-xs text-blue-600 dark:text-blue-400 hover:underline">
+                    {booking.roomIds?.length ? 'Change' : 'Assign'}
+                  </button>
+                )}
+              </td>
+              <td className="p-4 text-sm text-gray-700 dark:text-gray-300">
+                <BookingCharge booking={booking} tariff={tariff} onIssueInvoice={onIssueInvoice} />
+              </td>
               <td className="p-4">
-                <span className={`px-3 py-1 text-sm font-medium rounded-full ${
-                  booking.status === 'Pending' ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100' :
-                  booking.status === 'Approved' ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100' :
-                  'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100'
-                }`}>
+                <span className={`px-3 py-1 text-sm font-medium rounded-full ${getStatusBadgeClasses(booking.status)}`}>
                   {booking.status}
                 </span>
+                {booking.statusReason && (
+                  <div className="mt-2 max-w-xs truncate text-xs text-gray-500 dark:text-gray-400" title={booking.statusReason}>
+                    {booking.statusReason}
+                  </div>
+                )}
+                <BookingChanges booking={booking} />
+                {Object.values(notifications[booking.id] || {}).map(notification => (
+                  <NotificationStatus key={notification.id} notification={notification} onResend={canEdit && onResendNotification} />
+                ))}
+                <button onClick={() => onShowHistory(booking)} className="mt-2 flex items-center text-xs text-blue-600 dark:text-blue-400 hover:underline">
+                  <History size={12} className="mr-1" /> History
+                </button>
               </td>
-              <td className="p-4">
-                <select
-                  value={booking.status}
-                  onChange={(e) => onStatusChange(booking, e.target.value)}
-                  className="w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                >
-                  <option value="Pending">Pending</option>
-                  <option value="Approved">Approve</option>
-                  <option value="Rejected">Reject</option>
-                </select>
-              </td>
+              {canEdit && (
+                <td className="p-4">
+                  <StatusSelect booking={booking} onStatusChange={onStatusChange} />
+                </td>
+              )}
             </tr>
           ))}
         </tbody>
@@ -1187,11 +4837,18 @@ function BookingList({ bookings, onStatusChange }) {
   );
 }
 
-function BookingGrid({ bookings, onStatusChange }) {
+function BookingGrid({ bookings, notifications, canEdit, selected, onToggleSelected, onStatusChange, onChangeRoom, onResendNotification, onShowHistory, tariff, onIssueInvoice }) {
   return (
     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
       {bookings.map(booking => (
-        <div key={booking.id} className="bg-gray-50 dark:bg-gray-700 rounded-lg shadow-md p-6 space-y-4">
+        <div key={booking.id} className={`relative bg-gray-50 dark:bg-gray-700 rounded-lg shadow-md p-6 space-y-4 ${selected[booking.id] ? 'ring-2 ring-blue-500' : ''}`}>
+          <input
+            type="checkbox"
+            aria-label={`Select ${booking.applicationId}`}
+            checked={Boolean(selected[booking.id])}
+            onChange={() => onToggleSelected(booking)}
+            className="absolute top-4 right-4 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
           <div>
             <div className="font-semibold text-lg text-gray-900 dark:text-white">{booking.name}</div>
             <div className="text-sm text-gray-500 dark:text-gray-400">{booking.email}</div>
@@ -1207,29 +4864,45 @@ function BookingGrid({ bookings, onStatusChange }) {
               {booking.applicationId}
             </span>
           </div>
+          <div className="text-sm">
+            <div className="font-medium text-gray-700 dark:text-gray-300">Room:</div>
+            <div className="text-gray-600 dark:text-gray-200">
+              {booking.roomIds?.length ? formatRoomIds(booking.roomIds) : 'Not assigned'}
+              {canEdit && booking.status === BOOKING_STATES.APPROVED && (
+                <button onClick={() => onChangeRoom(booking)} className="ml-2 text-xs text-blue-600 dark:text-blue-400 hover:underline">
+                  {booking.roomIds?.length ? 'Change' : 'Assign'}
+                </button>
+              )}
+            </div>
+          </div>
+          <div className="text-sm">
+            <div className="font-medium text-gray-700 dark:text-gray-300">Charge:</div>
+            <div className="text-gray-600 dark:text-gray-200">
+              <BookingCharge booking={booking} tariff={tariff} onIssueInvoice={onIssueInvoice} />
+            </div>
+          </div>
           <div className="text-sm">
             <div className="font-medium text-gray-700 dark:text-gray-300 mb-1">Status:</div>
-            <span className={`px-3 py-1 text-sm font-medium rounded-full ${
-              booking.status === 'Pending' ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100' :
-              booking.status === 'Approved' ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100' :
-              'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100'
-            }`}>
+            <span className={`px-3 py-1 text-sm font-medium rounded-full ${getStatusBadgeClasses(booking.status)}`}>
               {booking.status}
             </span>
+            {booking.statusReason && (
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">{booking.statusReason}</p>
+            )}
+            <BookingChanges booking={booking} />
+            {Object.values(notifications[booking.id] || {}).map(notification => (
+              <NotificationStatus key={notification.id} notification={notification} onResend={canEdit && onResendNotification} />
+            ))}
+            <button onClick={() => onShowHistory(booking)} className="mt-2 flex items-center text-xs text-blue-600 dark:text-blue-400 hover:underline">
+              <History size={12} className="mr-1" /> History
+            </button>
           </div>
-          <div>
-            <label htmlFor={`status-select-${booking.id}`} className="text-sm font-medium text-gray-700 dark:text-gray-300">Change Status</label>
-            <select
-              id={`status-select-${booking.id}`}
-              value={booking.status}
-              onChange={(e) => onStatusChange(booking, e.target.value)}
-              className="mt-1 w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
-            >
-              <option value="Pending">Pending</o'ption>
-              <option value="Approved">Approve</option>
-              <option value="Rejected">Reject</option>
-            </select>
-          </div>
+          {canEdit && (
+            <div>
+              <label htmlFor={`status-select-${booking.id}`} className="text-sm font-medium text-gray-700 dark:text-gray-300">Change Status</label>
+              <StatusSelect id={`status-select-${booking.id}`} booking={booking} onStatusChange={onStatusChange} className="mt-1" />
+            </div>
+          )}
         </div>
       ))}
     </div>
@@ -1237,6 +4910,372 @@ function BookingGrid({ bookings, onStatusChange }) {
 }
 
 
+/**
+ * The status control shared by the list, grid and booking details.
+ */
+function StatusSelect({ id, booking, onStatusChange, className = '' }) {
+  // Check-in and check-out need the reception's details, so they live there
+  const options = nextStates(booking.status, ACTOR_TYPES.ADMIN, { atReception: false });
+  const hint = FINAL_STATES.includes(booking.status) ? 'This booking can no longer change' : 'Changed from the Reception view';
+  return (
+    <select
+      id={id}
+      value={booking.status}
+      onChange={(e) => onStatusChange(booking, e.target.value)}
+      disabled={options.length === 0}
+      title={options.length === 0 ? hint : undefined}
+      className={`w-full px-3 py-2 text-sm rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-60 ${className}`}
+    >
+      <option value={booking.status}>{booking.status}</option>
+      {options.map(status => <option key={status} value={status}>{actionLabel(status)}</option>)}
+    </select>
+  );
+}
+
+/**
+ * BookingCalendar Component
+ * Month and week views of every stay in the visible range, coloured by
+ * status, with the rooms booked each night. Pending and approved stays
+ * can be dragged to new dates or resized from their right edge.
+ */
+function BookingCalendar({ canEdit, onOpenBooking, onReschedule }) {
+  const [view, setView] = useState('month');
+  const [anchor, setAnchor] = useState(todayInGuesthouseTz());
+  const [bookings, setBookings] = useState([]);
+  const [error, setError] = useState(null);
+  const [showClosed, setShowClosed] = useState(false);
+  const [drag, setDrag] = useState(null); // { booking, mode: 'move' | 'resize', grabOffset }
+  const { from, to } = calendarRange(view, anchor);
+  const today = todayInGuesthouseTz();
+
+  // Stays are at most MAX_NIGHTS long, so earlier check-ins can't reach the range
+  useEffect(() => {
+    if (!bookingsCollectionRef) return;
+    const rangeQuery = query(
+      bookingsCollectionRef,
+      where('checkIn', '>=', addDays(from, -MAX_NIGHTS)),
+      where('checkIn', '<', to)
+    );
+    const unsubscribe = onSnapshot(rangeQuery, (snapshot) => {
+      setBookings(snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(booking => booking.checkOut > from));
+      setError(null);
+    }, (err) => {
+      console.error(err);
+      setError("Failed to load the calendar.");
+    });
+    return () => unsubscribe();
+  }, [from, to]);
+
+  // Closed: settled without a stay
+  const visible = showClosed
+    ? bookings
+    : bookings.filter(booking => !FINAL_STATES.includes(booking.status) || STAYED_STATUSES.includes(booking.status));
+  const occupancy = Object.fromEntries(getNightlyAvailability({ bookings, from, to }).map(night => [night.date, night]));
+  const weeks = [];
+  for (let weekStart = from; weekStart < to; weekStart = addDays(weekStart, 7)) {
+    weeks.push(weekStart);
+  }
+  const maxLanes = view === 'month' ? 3 : Infinity;
+  const canDrag = (booking) => canEdit && [BOOKING_STATES.PENDING, BOOKING_STATES.APPROVED].includes(booking.status);
+
+  const title = view === 'month'
+    ? new Date(`${anchor.slice(0, 7)}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+    : `${formatCalendarDay(from)} – ${formatCalendarDay(addDays(to, -1))}`;
+
+  const move = (step) => setAnchor(view === 'month' ? shiftMonth(anchor, step) : addDays(anchor, step * 7));
+
+  const handleDragStart = (e, segment, mode) => {
+    e.stopPropagation();
+    e.dataTransfer.effectAllowed = 'move';
+    // Which night of the stay was grabbed, so a move keeps it under the pointer
+    const rect = e.currentTarget.getBoundingClientRect();
+    const grabbedColumn = Math.floor((e.clientX - rect.left) / (rect.width / segment.span));
+    const grabOffset = daysBetween(segment.booking.checkIn, addDays(segment.startDate, Math.max(0, grabbedColumn)));
+    setDrag({ booking: segment.booking, mode, grabOffset });
+  };
+
+  const handleDrop = (e, date) => {
+    e.preventDefault();
+    if (!drag) return;
+    const { booking, mode, grabOffset } = drag;
+    setDrag(null);
+    if (mode === 'resize') {
+      const checkOut = addDays(date, 1);
+      if (checkOut > booking.checkIn) onReschedule(booking, { checkIn: booking.checkIn, checkOut });
+      return;
+    }
+    const checkIn = addDays(date, -grabOffset);
+    onReschedule(booking, { checkIn, checkOut: addDays(checkIn, daysBetween(booking.checkIn, booking.checkOut)) });
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-4">
+        <div className="flex items-center space-x-2">
+          <button onClick={() => move(-1)} className="p-2 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200">
+            <ChevronLeft size={20} />
+          </button>
+          <button onClick={() => setAnchor(today)} className="px-3 py-1 text-sm rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700">
+            Today
+          </button>
+          <button onClick={() => move(1)} className="p-2 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200">
+            <ChevronRight size={20} />
+          </button>
+          <h3 className="ml-2 text-lg font-semibold text-gray-900 dark:text-white">{title}</h3>
+        </div>
+        <div className="flex items-center space-x-4">
+          <FormCheckbox label="Show rejected, cancelled & no-shows" name="showClosed" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+          <div className="flex items-center space-x-1 p-1 bg-gray-100 dark:bg-gray-700 rounded-lg">
+            {['month', 'week'].map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`px-3 py-1 text-sm rounded-md capitalize ${view === option ? 'bg-white dark:bg-gray-800 shadow text-gray-900 dark:text-white' : 'text-gray-500 dark:text-gray-400'}`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && <FormAlert type="error" message={error} />}
+
+      <div className="border-l border-t border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+        <div className="grid grid-cols-7 bg-gray-50 dark:bg-gray-700">
+          {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => (
+            <div key={day} className="p-2 text-xs font-semibold text-gray-500 dark:text-gray-400 border-r border-b border-gray-200 dark:border-gray-700">{day}</div>
+          ))}
+        </div>
+        {weeks.map(weekStart => {
+          const { segments, laneCount } = layoutWeek(visible, weekStart);
+          const shown = segments.filter(segment => segment.lane < maxLanes);
+          const hidden = segments.length - shown.length;
+          const lanes = Math.min(laneCount, maxLanes);
+          return (
+            <div key={weekStart} className="relative">
+              <div className="grid grid-cols-7">
+                {Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)).map(date => {
+                  const night = occupancy[date];
+                  const outsideMonth = view === 'month' && date.slice(0, 7) !== anchor.slice(0, 7);
+                  return (
+                    <div
+                      key={date}
+                      onDragOver={(e) => drag && e.preventDefault()}
+                      onDrop={(e) => handleDrop(e, date)}
+                      style={{ minHeight: `${2.25 + Math.max(lanes, view === 'week' ? 4 : 2) * 1.75}rem` }}
+                      className={`p-1 border-r border-b border-gray-200 dark:border-gray-700 ${outsideMonth ? 'bg-gray-50 dark:bg-gray-900' : ''}`}
+                    >
+                      <div className="flex justify-between items-center text-xs">
+                        <span className={`font-semibold ${date === today ? 'px-1.5 rounded-full bg-blue-600 text-white' : outsideMonth ? 'text-gray-400' : 'text-gray-700 dark:text-gray-200'}`}>
+                          {Number(date.slice(8))}
+                        </span>
+                        {night && (
+                          <span
+                            title={`${night.bookedRooms} of ${night.totalRooms} rooms booked`}
+                            className={night.freeRooms === 0 ? 'text-red-600 dark:text-red-400 font-semibold' : 'text-gray-500 dark:text-gray-400'}
+                          >
+                            <BedDouble size={10} className="inline mr-0.5" />{night.bookedRooms}/{night.totalRooms}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div
+                className={`absolute inset-x-0 top-7 grid grid-cols-7 gap-y-1 px-0.5 ${drag ? 'pointer-events-none' : ''}`}
+                style={{ gridAutoRows: '1.5rem' }}
+              >
+                {shown.map(segment => (
+                  <div
+                    key={segment.booking.id}
+                    draggable={canDrag(segment.booking)}
+                    onDragStart={(e) => handleDragStart(e, segment, 'move')}
+                    onDragEnd={() => setDrag(null)}
+                    onClick={() => onOpenBooking(segment.booking)}
+                    style={{ gridColumn: `${segment.column + 1} / span ${segment.span}`, gridRow: segment.lane + 1 }}
+                    title={`${segment.booking.name} (${segment.booking.applicationId}) · ${segment.booking.checkIn} to ${segment.booking.checkOut} · ${segment.booking.status}`}
+                    className={`relative mx-0.5 px-2 flex items-center text-xs font-medium truncate cursor-pointer ${getStatusBadgeClasses(segment.booking.status)} ${
+                      segment.continuesBefore ? '' : 'rounded-l-md'
+                    } ${segment.continuesAfter ? '' : 'rounded-r-md'}`}
+                  >
+                    <span className="truncate">{segment.booking.name}</span>
+                    {canDrag(segment.booking) && !segment.continuesAfter && (
+                      <span
+                        draggable
+                        onDragStart={(e) => handleDragStart(e, segment, 'resize')}
+                        onDragEnd={() => setDrag(null)}
+                        onClick={(e) => e.stopPropagation()}
+                        title="Drag to change the check-out date"
+                        className="absolute right-0 inset-y-0 w-2 cursor-ew-resize"
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {hidden > 0 && (
+                <button
+                  onClick={() => { setView('week'); setAnchor(weekStart); }}
+                  className="absolute bottom-1 right-2 text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  +{hidden} more
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * BookingDetailsDialog Component
+ * Everything about one booking, with its status controls, opened from
+ * the calendar.
+ */
+function BookingDetailsDialog({ booking, canEdit, onStatusChange, onChangeRoom, onShowHistory, tariff, onIssueInvoice, onClose }) {
+  return (
+    <Modal title={`${booking.name} · ${booking.applicationId}`} onClose={onClose}>
+      <div className="space-y-3 mb-6">
+        <StatusItem label="Email" value={booking.email} />
+        <StatusItem label="Phone" value={booking.phone} />
+        <StatusItem label="Dates" value={`${booking.checkIn} to ${booking.checkOut}`} />
+        <StatusItem label="Guests" value={String(booking.guestCount)} />
+        <StatusItem label="Purpose" value={PURPOSES[booking.purpose] || booking.purpose} />
+        <StatusItem label="ID Proof" value={ID_PROOF_TYPES[booking.idProof]?.label || booking.idProof} />
+        <StatusItem label="Room">
+          <span className="text-base font-semibold text-gray-900 dark:text-white">
+            {booking.roomIds?.length ? formatRoomIds(booking.roomIds) : 'Not assigned'}
+            {canEdit && booking.status === BOOKING_STATES.APPROVED && (
+              <button onClick={() => onChangeRoom(booking)} className="ml-2 text-xs font-normal text-blue-600 dark:text-blue-400 hover:underline">
+                {booking.roomIds?.length ? 'Change' : 'Assign'}
+              </button>
+            )}
+          </span>
+        </StatusItem>
+        <StatusItem label="Status">
+          <span className={`px-3 py-1 text-sm font-medium rounded-full ${getStatusBadgeClasses(booking.status)}`}>
+            {booking.status}
+          </span>
+        </StatusItem>
+        {booking.statusReason && <p className="text-sm text-gray-600 dark:text-gray-300">{booking.statusReason}</p>}
+        <BookingChanges booking={booking} />
+        {booking.checkedInAt && (
+          <>
+            <StatusItem label="Checked in" value={`${formatArrivalTime(booking.checkedInAt)}${booking.idVerified ? ' · ID verified' : ''}`} />
+            <StatusItem label="Room key" value={booking.roomKey || '—'} />
+          </>
+        )}
+        {booking.checkedOutAt && (
+          <StatusItem label="Checked out" value={`${formatArrivalTime(booking.checkedOutAt)}${booking.keyReturned ? ' · key returned' : ''}`} />
+        )}
+        <StatusItem label="Charge">
+          <span className="text-base font-semibold text-gray-900 dark:text-white">
+            <BookingCharge booking={booking} tariff={tariff} onIssueInvoice={onIssueInvoice} />
+          </span>
+        </StatusItem>
+      </div>
+      <div className="flex items-end justify-between gap-4">
+        <button onClick={() => onShowHistory(booking)} className="flex items-center text-sm text-blue-600 dark:text-blue-400 hover:underline">
+          <History size={14} className="mr-1" /> History
+        </button>
+        {canEdit && (
+          <div className="w-48">
+            <StatusSelect booking={booking} onStatusChange={onStatusChange} />
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+/**
+ * A booking's invoice and payment once issued; before that, what the stay
+ * comes to under the current tariff. Checked-out stays without an invoice
+ * (e.g. when issuing failed at check-out) offer to issue it.
+ */
+function BookingCharge({ booking, tariff, onIssueInvoice }) {
+  if (booking.invoiceNumber) {
+    return (
+      <span className="inline-flex items-center gap-2">
+        <span className="font-mono">{booking.invoiceNumber}</span>
+        <PaymentBadge status={booking.paymentStatus} />
+      </span>
+    );
+  }
+  if (FINAL_STATES.includes(booking.status) && booking.status !== BOOKING_STATES.CHECKED_OUT) return '—';
+  return (
+    <span title="Estimate under the current tariff, including taxes">
+      ≈ {formatCurrency(estimateCharge(booking, tariff).total)}
+      {onIssueInvoice && booking.status === BOOKING_STATES.CHECKED_OUT && (
+        <button onClick={() => onIssueInvoice(booking)} className="ml-2 text-xs text-blue-600 dark:text-blue-400 hover:underline">
+          Issue invoice
+        </button>
+      )}
+    </span>
+  );
+}
+
+/**
+ * What the guest changed since an admin last decided on the booking,
+ * old value struck through.
+ */
+function BookingChanges({ booking }) {
+  if (!booking.modification) return null;
+  const { previous } = booking.modification;
+  return (
+    <div className="mt-2 p-2 rounded-lg bg-amber-50 dark:bg-amber-900 text-xs text-amber-900 dark:text-amber-100">
+      <div className="font-semibold">
+        Changed by guest{previous.status !== booking.status && ` (was ${previous.status})`}
+      </div>
+      <ul>
+        {diffBooking(previous, booking).map(change => (
+          <li key={change.field}>
+            {change.label}: <del>{change.from}</del> → {change.to}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Delivery status of the latest email or SMS queued for a booking,
+ * with a resend button once it has failed for good.
+ */
+function NotificationStatus({ notification, onResend }) {
+  const channel = notification.channel === 'sms' ? 'SMS' : 'Email';
+  const labels = {
+    [NOTIFICATION_STATUS.QUEUED]: notification.attempts > 0 ? `${channel} retrying (attempt ${notification.attempts})` : `${channel} queued`,
+    [NOTIFICATION_STATUS.SENDING]: `${channel} sending`,
+    [NOTIFICATION_STATUS.SENT]: `${channel} sent`,
+    [NOTIFICATION_STATUS.FAILED]: `${channel} failed`,
+  };
+  const Icon = notification.channel === 'sms' ? Phone : Mail;
+  const color = {
+    [NOTIFICATION_STATUS.SENT]: 'text-green-600 dark:text-green-400',
+    [NOTIFICATION_STATUS.FAILED]: 'text-red-600 dark:text-red-400',
+  }[notification.status] || 'text-gray-500 dark:text-gray-400';
+
+  return (
+    <div className={`mt-2 flex items-center text-xs ${color}`} title={notification.lastError || notification.template}>
+      <Icon size={12} className="mr-1 flex-shrink-0" />
+      {labels[notification.status]}
+      {onResend && notification.status === NOTIFICATION_STATUS.FAILED && (
+        <button onClick={() => onResend(notification)} className="ml-2 flex items-center text-blue-600 dark:text-blue-400 hover:underline">
+          <RefreshCw size={12} className="mr-1" /> Resend
+        </button>
+      )}
+    </div>
+  );
+}
+
 // --- Helper & Utility Components ---
 
 function ComingSoonPage({ title }) {
@@ -1248,6 +5287,27 @@ function ComingSoonPage({ title }) {
   );
 }
 
+function Modal({ title, onClose, children }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        className="w-full max-w-lg bg-white dark:bg-gray-800 rounded-xl shadow-xl p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white">{title}</h3>
+          <button onClick={onClose} className="p-1 rounded-full text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700">
+            <X size={20} />
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
+
 function StatusItem({ label, value, children }) {
   return (
     <div className="flex justify-between items-center">
@@ -1257,7 +5317,7 @@ function StatusItem({ label, value, children }) {
   );
 }
 
-function FormInput({ label, name, type = 'text', value, onChange, required = false, ...props }) {
+function FormInput({ label, name, type = 'text', value, onChange, required = false, error, ...props }) {
   return (
     <div>
       <label htmlFor={name} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -1270,9 +5330,12 @@ function FormInput({ label, name, type = 'text', value, onChange, required = fal
         value={value}
         onChange={onChange}
         required={required}
+        aria-invalid={Boolean(error)}
+        aria-describedby={error ? `${name}-error` : undefined}
         {...props}
-        className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        className={`w-full px-4 py-3 rounded-lg border ${error ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'} bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500`}
       />
+      {error && <p id={`${name}-error`} className="mt-1 text-sm text-red-600 dark:text-red-400">{error}</p>}
     </div>
   );
 }
@@ -1299,6 +5362,22 @@ function FormSelect({ label, name, value, onChange, options, required = false })
   );
 }
 
+function FormCheckbox({ label, name, checked, onChange }) {
+  return (
+    <label htmlFor={name} className="mt-6 flex items-center text-sm text-gray-700 dark:text-gray-300">
+      <input
+        type="checkbox"
+        id={name}
+        name={name}
+        checked={checked}
+        onChange={onChange}
+        className="h-4 w-4 mr-3 rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+      />
+      {label}
+    </label>
+  );
+}
+
 function FormSection({ title, children }) {
   return (
     <fieldset className="border border-gray-300 dark:border-gray-600 rounded-lg p-6">
@@ -1356,38 +5435,252 @@ function Spinner({ size = 'md' }) {
 // --- Utility Functions ---
 
 /**
- * Generates a unique Application ID
+ * Firestore constraints for the admin bookings table. Every combination
+ * used here needs an index in firestore.indexes.json.
  */
-function generateApplicationId() {
-  const timestamp = new Date().getTime().toString(36).slice(-4);
-  const randomPart = Math.random().toString(36).slice(2, 7);
-  return `HPU-${timestamp}-${randomPart}`.toUpperCase();
+function bookingQueryConstraints({ search, status, purpose, idProof, checkInFrom, checkInTo }, sort) {
+  const constraints = [];
+  const term = normalizeSearchTerm(search);
+  if (term) constraints.push(where('searchKeywords', 'array-contains', term));
+  if (status) constraints.push(where('status', '==', status));
+  if (purpose) constraints.push(where('purpose', '==', purpose));
+  if (idProof) constraints.push(where('idProof', '==', idProof));
+  if (checkInFrom) constraints.push(where('checkIn', '>=', checkInFrom));
+  if (checkInTo) constraints.push(where('checkIn', '<=', checkInTo));
+  constraints.push(orderBy(sort.field, sort.direction));
+  return constraints;
 }
 
+const EXPORT_PAGE_SIZE = 500;
+
 /**
- * Calls our serverless function to send an email.
+ * Every booking matching the dashboard filters, read a page at a time.
  */
-async function sendEmailNotification(to, template, data) {
-  console.log(`Sending email '${template}' to ${to} with data:`, data);
-  try {
-    const response = await fetch('/api/sendEmail', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ to, template, data }),
-    });
+async function loadAllBookings(filters, sort) {
+  const bookings = [];
+  let cursor = null;
+  for (;;) {
+    const snapshot = await getDocs(query(
+      bookingsCollectionRef,
+      ...bookingQueryConstraints(filters, sort),
+      ...(cursor ? [startAfter(cursor)] : []),
+      limit(EXPORT_PAGE_SIZE)
+    ));
+    bookings.push(...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    if (snapshot.size < EXPORT_PAGE_SIZE) return bookings;
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
 
-    if (!response.ok) {
-      const res = await response.json();
-      throw new Error(res.message || 'Email API request failed');
-    }
-    
-    console.log("Email sent successfully via serverless function.");
+/**
+ * Bookings holding rooms on any night of the given stay, for availability
+ * checks and room assignment. Same query as /api/availability.
+ */
+async function loadOccupyingBookings({ checkIn, checkOut }, statuses = OCCUPYING_STATUSES) {
+  const snapshot = await getDocs(query(
+    bookingsCollectionRef,
+    where('status', 'in', statuses),
+    where('checkIn', '<', checkOut)
+  ));
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(booking => booking.checkOut > checkIn);
+}
+
+/**
+ * Tailwind classes for a booking status badge
+ */
+function getStatusBadgeClasses(status) {
+  switch (status) {
+    case BOOKING_STATES.PENDING:
+      return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100';
+    case BOOKING_STATES.APPROVED:
+      return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-100';
+    case BOOKING_STATES.CANCELLED:
+      return 'bg-gray-200 text-gray-800 dark:bg-gray-600 dark:text-gray-100';
+    case BOOKING_STATES.CHECKED_IN:
+      return 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-100';
+    case BOOKING_STATES.CHECKED_OUT:
+      return 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-100';
+    case BOOKING_STATES.NO_SHOW:
+      return 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-100';
+    default:
+      return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100';
+  }
+}
+
+/**
+ * Check-in/check-out time as recorded by the reception, e.g. "12 Oct, 14:05"
+ */
+function formatArrivalTime(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Value for a datetime-local input in the browser's timezone
+ */
+function toDateTimeInputValue(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Short day label for the calendar, e.g. "12 Oct"
+ */
+function formatCalendarDay(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+/**
+ * Amount in rupees, e.g. "₹1,500.00"
+ */
+function formatCurrency(amount) {
+  return new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+}
+
+/**
+ * Human-readable list of assigned rooms, e.g. "201, 202"
+ */
+function formatRoomIds(roomIds = []) {
+  return roomIds.join(', ');
+}
+
+// `at` is a server timestamp, still null until our own write is confirmed
+function formatAuditTime(at) {
+  return at ? at.toDate().toLocaleString() : 'Just now';
+}
+
+function formatAuditActor(entry) {
+  if (entry.actorType === ACTOR_TYPES.GUEST) return 'Guest';
+  if (entry.actorType === ACTOR_TYPES.SYSTEM) return 'System';
+  return entry.actorEmail || entry.actorType;
+}
+
+/**
+ * Authorization header carrying the signed-in admin's Firebase ID token,
+ * which the serverless functions verify. Empty for guests.
+ */
+async function authHeaders() {
+  const currentUser = auth?.currentUser;
+  return currentUser ? { Authorization: `Bearer ${await currentUser.getIdToken()}` } : {};
+}
+
+/**
+ * Calls one of our serverless functions as the signed-in admin.
+ * Resolves with the JSON response; throws with the server's message.
+ */
+async function apiRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      ...(await authHeaders()),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
 
-  } catch (error) {
-    console.error("Failed to send email:", error);
-    // Don't block user flow, just log the error
+  const res = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(res.message || `${path} request failed`);
   }
+  return res;
+}
+
+/**
+ * Asks our serverless function to deliver a queued notification now.
+ * Delivery problems are recorded on the notification itself.
+ */
+async function requestNotificationDelivery(notificationId, { resend = false } = {}) {
+  await apiRequest('/api/notifications', { method: 'POST', body: { notificationId, resend } });
+}
+
+/**
+ * Requests delivery of notifications queued by a committed batch; the
+ * outbox worker picks up any that fail.
+ */
+function requestDeliveries(notificationRefs) {
+  notificationRefs.forEach(notificationRef => {
+    requestNotificationDelivery(notificationRef.id)
+      .catch(err => console.error("Failed to request notification delivery:", err));
+  });
+}
+
+/**
+ * Adds a booking's email/SMS to a write batch, so they can't be lost.
+ * Returns the new notification refs.
+ */
+function queueNotifications(batch, options) {
+  return createNotifications(options).map(notification => {
+    const notificationRef = doc(notificationsCollectionRef);
+    batch.set(notificationRef, notification);
+    return notificationRef;
+  });
+}
+
+/**
+ * Adds one status change to a write batch: the private booking (pointing
+ * at its audit entry), the public status lookup, the audit entry and the
+ * guest's email/SMS. `fields` are extra booking fields recorded with the
+ * change, such as the check-in details. Returns the queued notification refs.
+ * Throws when the booking lifecycle does not allow the change, and for
+ * approvals, which /api/roomAssignments makes.
+ */
+function stageStatusChange(batch, booking, newStatus, { reason, actor, fields }) {
+  const transition = getTransition(booking.status, newStatus, ACTOR_TYPES.ADMIN);
+  if (!transition) throw new Error(transitionError(booking.status, newStatus));
+  if (transition.assignsRooms) throw new Error(`Approve ${booking.applicationId} through the room dialog`);
+  const auditRef = doc(auditLogCollectionRef);
+  batch.update(doc(db, `artifacts/${appId}/public/data/bookings`, booking.id), {
+    status: newStatus,
+    statusReason: reason || null,
+    lastAuditId: auditRef.id,
+    ...(transition.releasesRooms && { roomIds: deleteField() }),
+    // A decision settles the guest's changes
+    ...(booking.modification && { modification: null }),
+    ...fields,
+    // The first decision on an application feeds the turnaround analytics
+    ...(booking.status === BOOKING_STATES.PENDING && newStatus === BOOKING_STATES.REJECTED && booking.decisionHours == null && {
+      decidedAt: serverTimestamp(),
+      decisionHours: decisionHours(booking.submittedAt)
+    })
+  });
+  batch.update(doc(db, `artifacts/${appId}/public/data/statusLookup`, booking.applicationId), {
+    status: newStatus,
+    statusReason: reason || null
+  });
+  batch.set(auditRef, createAuditEntry({
+    bookingId: booking.id,
+    booking,
+    fromStatus: booking.status,
+    toStatus: newStatus,
+    actor,
+    reason,
+    at: serverTimestamp()
+  }));
+
+  if (!transition.template) return [];
+  return queueNotifications(batch, {
+    bookingId: booking.id,
+    booking,
+    template: transition.template,
+    params: {
+      name: booking.name,
+      applicationId: booking.applicationId,
+      checkIn: booking.checkIn,
+      ...(reason && { reason })
+    }
+  });
 }
 
+/**
+ * Saves generated text (e.g. a CSV export) as a file download.
+ */
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,58 @@
+// --- Analytics ---
+// Shapes the figures returned by /api/analytics for the dashboard charts.
+
+import { addDays } from './availability.js';
+import { shiftMonth, startOfWeek } from './calendar.js';
+
+// Longest range one analytics request may cover
+export const ANALYTICS_MAX_DAYS = 366;
+
+/**
+ * Daily points for short ranges, weekly up to four months, then monthly.
+ */
+export function chooseBucket(nightCount) {
+  if (nightCount <= 31) return 'day';
+  if (nightCount <= 120) return 'week';
+  return 'month';
+}
+
+function bucketStart(date, bucket) {
+  if (bucket === 'week') return startOfWeek(date);
+  if (bucket === 'month') return `${date.slice(0, 7)}-01`;
+  return date;
+}
+
+/**
+ * Occupancy rate per bucket from getNightlyAvailability() nights:
+ * booked room-nights over available room-nights.
+ */
+export function bucketOccupancy(nights, bucket) {
+  const buckets = new Map();
+  for (const night of nights) {
+    const start = bucketStart(night.date, bucket);
+    const current = buckets.get(start) || { start, booked: 0, capacity: 0 };
+    current.booked += Math.min(night.bookedRooms, night.totalRooms);
+    current.capacity += night.totalRooms;
+    buckets.set(start, current);
+  }
+  return [...buckets.values()].map(({ start, booked, capacity }) => ({
+    start,
+    rate: capacity ? booked / capacity : 0,
+  }));
+}
+
+/**
+ * Calendar months overlapping [from, to), clipped to the range.
+ */
+export function monthsInRange(from, to) {
+  const months = [];
+  for (let start = shiftMonth(from, 0); start < to; start = shiftMonth(start, 1)) {
+    const end = shiftMonth(start, 1);
+    months.push({ month: start.slice(0, 7), from: start < from ? from : start, to: end > to ? to : end });
+  }
+  return months;
+}
+
+export function isValidRange(from, to) {
+  return from < to && addDays(from, ANALYTICS_MAX_DAYS) >= to;
+}
@@ -0,0 +1,31 @@
+// --- Audit Trail ---
+// Every booking status change appends one entry to the auditLog
+// collection, in the same write as the change. Entries are never
+// updated or deleted (firestore.rules enforces this), and bookings keep
+// the ID of their latest entry in `lastAuditId`.
+
+export const ACTOR_TYPES = {
+  ADMIN: 'admin',
+  GUEST: 'guest',
+  SYSTEM: 'system',
+};
+
+/**
+ * Builds an audit entry. `at` is the server timestamp sentinel of the
+ * SDK doing the write (serverTimestamp() / FieldValue.serverTimestamp()).
+ * `actor` is { uid, email } for admins and omitted for guests/system.
+ */
+export function createAuditEntry({ bookingId, booking, fromStatus, toStatus, actorType = ACTOR_TYPES.ADMIN, actor, reason, at }) {
+  return {
+    bookingId,
+    applicationId: booking.applicationId,
+    guestName: booking.name,
+    fromStatus: fromStatus ?? null,
+    toStatus,
+    actorType,
+    actorUid: actor?.uid ?? null,
+    actorEmail: actor?.email?.toLowerCase() ?? null,
+    reason: reason || null,
+    at,
+  };
+}
@@ -0,0 +1,203 @@
+// --- Availability Engine ---
+// Works out free rooms per night from the bookings that hold a room.
+// Dates are 'YYYY-MM-DD' strings, as stored by the booking form; a stay
+// occupies the nights from checkIn up to (not including) checkOut.
+// Bookings with `roomIds` hold exactly those rooms; older approved
+// bookings without an assignment are counted by party size instead.
+
+import { ROOMS } from './rooms.js';
+import { BOOKING_STATES, ROOM_HOLDING_STATES } from './bookingLifecycle.js';
+
+// Bookings in these states hold a room for their nights
+export const OCCUPYING_STATUSES = ROOM_HOLDING_STATES;
+// Stays that happened or are happening; reports count these nights as sold
+// even after the guest has checked out and the room is free again
+export const STAYED_STATUSES = [...OCCUPYING_STATUSES, BOOKING_STATES.CHECKED_OUT];
+
+/**
+ * Adds days to a 'YYYY-MM-DD' date string.
+ */
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Lists the nights of a stay: checkIn inclusive, checkOut exclusive.
+ */
+export function eachNight(checkIn, checkOut) {
+  const nights = [];
+  for (let date = checkIn; date < checkOut; date = addDays(date, 1)) {
+    nights.push(date);
+  }
+  return nights;
+}
+
+/**
+ * Splits a party into the room capacities it needs, filling the largest
+ * rooms first. e.g. 5 guests with single/double rooms -> [2, 2, 1].
+ */
+export function roomDemand(guestCount, rooms = ROOMS) {
+  const maxCapacity = Math.max(...rooms.map(room => room.capacity));
+  const demand = [];
+  let remaining = Math.max(1, Number(guestCount) || 1);
+  while (remaining > 0) {
+    demand.push(Math.min(remaining, maxCapacity));
+    remaining -= maxCapacity;
+  }
+  return demand;
+}
+
+function occupiesNight(booking, date, statuses = OCCUPYING_STATUSES) {
+  return statuses.includes(booking.status) &&
+    booking.checkIn <= date && date < booking.checkOut;
+}
+
+/**
+ * Checks whether a set of room demands fits into the rooms.
+ * A demand of capacity c needs a room with capacity >= c. Those room sets
+ * are nested, so it is enough to check, for every capacity threshold, that
+ * there are at least as many big-enough rooms as demands needing them.
+ */
+function demandsFit(demands, rooms) {
+  const thresholds = [...new Set(rooms.map(room => room.capacity)), ...demands];
+  return thresholds.every(threshold =>
+    demands.filter(d => d >= threshold).length <=
+    rooms.filter(room => room.capacity >= threshold).length
+  );
+}
+
+function hasAssignedRooms(booking) {
+  return Array.isArray(booking.roomIds) && booking.roomIds.length > 0;
+}
+
+/**
+ * Splits the bookings occupying a night into the rooms they hold and
+ * the room demands of those still without an assignment.
+ */
+function occupancyForNight(bookings, date, rooms, statuses) {
+  const occupying = bookings.filter(booking => occupiesNight(booking, date, statuses));
+  const takenIds = new Set(occupying.filter(hasAssignedRooms).flatMap(booking => booking.roomIds));
+  return {
+    freeRooms: rooms.filter(room => !takenIds.has(room.id)),
+    unassignedDemands: occupying
+      .filter(booking => !hasAssignedRooms(booking))
+      .flatMap(booking => roomDemand(booking.guestCount, rooms)),
+  };
+}
+
+/**
+ * Free rooms for every night in [from, to).
+ * Returns [{ date, totalRooms, bookedRooms, freeRooms }].
+ * Reports pass STAYED_STATUSES to count past stays too.
+ */
+export function getNightlyAvailability({ bookings, from, to, rooms = ROOMS, statuses = OCCUPYING_STATUSES }) {
+  return eachNight(from, to).map(date => {
+    const { freeRooms, unassignedDemands } = occupancyForNight(bookings, date, rooms, statuses);
+    const bookedRooms = rooms.length - freeRooms.length + unassignedDemands.length;
+    return {
+      date,
+      totalRooms: rooms.length,
+      bookedRooms,
+      freeRooms: Math.max(0, rooms.length - bookedRooms),
+    };
+  });
+}
+
+/**
+ * Rooms not held by any other booking on any night of the stay.
+ * These are the rooms an admin may assign to the booking.
+ */
+export function getFreeRooms({ bookings, checkIn, checkOut, excludeId, rooms = ROOMS }) {
+  const others = bookings.filter(booking => booking.id !== excludeId);
+  return eachNight(checkIn, checkOut).reduce(
+    (free, date) => {
+      const freeTonight = new Set(occupancyForNight(others, date, rooms).freeRooms.map(room => room.id));
+      return free.filter(room => freeTonight.has(room.id));
+    },
+    rooms
+  );
+}
+
+/**
+ * Picks rooms for a party out of `freeRooms`: for each chunk of
+ * roomDemand(), largest first, the smallest free room that fits it.
+ * Returns the room IDs, or null when the party doesn't fit.
+ */
+export function pickRooms(freeRooms, guestCount, rooms = ROOMS) {
+  const available = [...freeRooms].sort((a, b) => a.capacity - b.capacity || a.id.localeCompare(b.id));
+  const picked = [];
+  for (const need of roomDemand(guestCount, rooms).sort((a, b) => b - a)) {
+    const index = available.findIndex(room => room.capacity >= need);
+    if (index === -1) return null;
+    picked.push(available.splice(index, 1)[0].id);
+  }
+  return picked;
+}
+
+/**
+ * Total guests the given rooms can sleep.
+ */
+export function roomsCapacity(roomIds, rooms = ROOMS) {
+  return rooms
+    .filter(room => roomIds.includes(room.id))
+    .reduce((sum, room) => sum + room.capacity, 0);
+}
+
+/**
+ * Checks whether a stay can be added on top of the occupying bookings.
+ * `excludeId` leaves the booking being approved out of the existing set.
+ * Returns { available, fullNights } where fullNights lists the dates
+ * that have no room for this party.
+ */
+export function checkAvailability({ bookings, checkIn, checkOut, guestCount, excludeId, rooms = ROOMS }) {
+  const others = bookings.filter(booking => booking.id !== excludeId);
+  const requested = roomDemand(guestCount, rooms);
+
+  const fullNights = eachNight(checkIn, checkOut).filter(date => {
+    const { freeRooms, unassignedDemands } = occupancyForNight(others, date, rooms);
+    return !demandsFit([...unassignedDemands, ...requested], freeRooms);
+  });
+
+  return { available: fullNights.length === 0, fullNights };
+}
+
+/**
+ * How busy a night from getNightlyAvailability() is, for the public
+ * calendar: 'full', 'limited' (a quarter of the rooms or fewer left) or
+ * 'available'.
+ */
+export function availabilityLevel(night) {
+  if (night.freeRooms <= 0) return 'full';
+  if (night.freeRooms <= Math.ceil(night.totalRooms / 4)) return 'limited';
+  return 'available';
+}
+
+/**
+ * Latest check-out date for a stay starting on `checkIn`: the morning of
+ * the first full night after it, or null when none is full in `nights`.
+ */
+export function lastCheckOut(nights, checkIn) {
+  const firstFull = nights.find(night => night.date > checkIn && night.freeRooms <= 0);
+  return firstFull ? firstFull.date : null;
+}
+
+/**
+ * Why a date typed into the booking form can't be used, matching what
+ * the calendar won't let a guest pick, or null when it can be.
+ * `field` is 'checkIn' or 'checkOut'; check-out is checked against the
+ * chosen `checkIn`.
+ */
+export function blockedDateReason(nights, field, date, checkIn) {
+  if (field === 'checkIn') {
+    const night = nights.find(n => n.date === date);
+    return night && availabilityLevel(night) === 'full'
+      ? `The guest house is fully booked on ${date}. Please pick another check-in date.`
+      : null;
+  }
+  const limit = checkIn && date > checkIn ? lastCheckOut(nights, checkIn) : null;
+  return limit && date > limit
+    ? `The guest house is fully booked on the night of ${limit}, so please check out by then.`
+    : null;
+}
@@ -0,0 +1,225 @@
+// --- Billing ---
+// Tariffs, stay charges and invoice numbering, shared by the admin UI and
+// /api/invoices so the estimate an admin sees is the invoice the guest gets.
+// Amounts are in rupees. Super admins edit the tariff in Settings; until
+// they do, DEFAULT_TARIFF applies.
+
+import { ROOMS, ROOM_TYPES } from './rooms.js';
+import { addDays, eachNight, roomDemand } from './availability.js';
+import { PURPOSES } from './bookingValidation.js';
+import { todayInGuesthouseTz } from './dates.js';
+import { mealCharges } from './food.js';
+
+// Each purpose of visit is charged at one of these rates
+export const TARIFF_CATEGORIES = {
+  official: 'Official',
+  personal: 'Personal',
+};
+
+const PURPOSE_CATEGORY = {
+  official: 'official',
+  event: 'official',
+  personal: 'personal',
+  other: 'personal',
+};
+
+export const DEFAULT_TARIFF = {
+  // Per room per night, for one guest
+  rates: {
+    official: { single: 800, double: 1200 },
+    personal: { single: 1200, double: 1800 },
+  },
+  // Per night for every guest beyond one per room
+  extraGuest: { official: 300, personal: 500 },
+  // Nights from `from` to `to` ('MM-DD', inclusive; may wrap over the new
+  // year) cost `percent` more, or less when negative
+  seasons: [],
+  taxes: [{ name: 'GST', percent: 12 }],
+};
+
+export const PAYMENT_METHODS = {
+  cash: 'Cash',
+  card: 'Card',
+  upi: 'UPI',
+  bank_transfer: 'Bank transfer',
+  department: 'Department account',
+};
+
+export const PAYMENT_STATUSES = {
+  UNPAID: 'Unpaid',
+  PAID: 'Paid',
+};
+
+const MONTH_DAY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const MAX_TAX_PERCENT = 100;
+
+export function tariffCategory(purpose) {
+  return PURPOSE_CATEGORY[purpose] || 'personal';
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * The season a night falls in, or undefined outside every season.
+ */
+export function seasonFor(date, seasons = []) {
+  const monthDay = date.slice(5);
+  return seasons.find(({ from, to }) => from <= to
+    ? monthDay >= from && monthDay <= to
+    : monthDay >= from || monthDay <= to);
+}
+
+/**
+ * The room types a booking is charged for: its assigned rooms, or before
+ * assignment the smallest rooms that fit the party.
+ */
+function chargedRoomTypes(booking) {
+  if (booking.roomIds?.length) {
+    return booking.roomIds.map(id => ROOMS.find(room => room.id === id)?.type).filter(Boolean);
+  }
+  const types = Object.entries(ROOM_TYPES).sort(([, a], [, b]) => a.capacity - b.capacity);
+  return roomDemand(booking.guestCount).map(capacity => types.find(([, type]) => type.capacity >= capacity)[0]);
+}
+
+/**
+ * Charge lines for the nights from checkIn to checkOut, one line per room
+ * type and rate: { description, quantity, unitPrice, amount }.
+ */
+export function roomCharges(booking, tariff = DEFAULT_TARIFF) {
+  const category = tariffCategory(booking.purpose);
+  const roomTypes = chargedRoomTypes(booking);
+  const extraGuests = Math.max(0, (Number(booking.guestCount) || 1) - roomTypes.length);
+  const lines = new Map();
+  const add = (description, unitPrice, quantity) => {
+    const key = `${description}|${unitPrice}`;
+    const line = lines.get(key) || { description, quantity: 0, unitPrice };
+    line.quantity += quantity;
+    lines.set(key, line);
+  };
+
+  eachNight(booking.checkIn, booking.checkOut).forEach(date => {
+    const season = seasonFor(date, tariff.seasons);
+    const factor = 1 + (season ? season.percent : 0) / 100;
+    const suffix = season ? ` (${season.name})` : '';
+    roomTypes.forEach(type => {
+      add(`${ROOM_TYPES[type].label}, ${TARIFF_CATEGORIES[category]}${suffix}`, roundAmount(tariff.rates[category][type] * factor), 1);
+    });
+    if (extraGuests) add(`Extra guest${suffix}`, roundAmount(tariff.extraGuest[category] * factor), extraGuests);
+  });
+
+  return [...lines.values()].map(line => ({ ...line, amount: roundAmount(line.quantity * line.unitPrice) }));
+}
+
+/**
+ * Subtotal, taxes and total for a list of charge lines.
+ */
+export function chargeTotals(lines, tariff = DEFAULT_TARIFF) {
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+  const taxes = tariff.taxes.map(({ name, percent }) => ({ name, percent, amount: roundAmount(subtotal * percent / 100) }));
+  const total = roundAmount(subtotal + taxes.reduce((sum, tax) => sum + tax.amount, 0));
+  return { subtotal, taxes, total };
+}
+
+/**
+ * The nights to charge for. A guest who leaves early pays up to the day
+ * they left, and always for at least one night.
+ */
+export function billedStay(booking) {
+  if (!booking.checkedOutAt) return { checkIn: booking.checkIn, checkOut: booking.checkOut };
+  const departed = todayInGuesthouseTz(new Date(booking.checkedOutAt));
+  const checkOut = departed < booking.checkOut ? departed : booking.checkOut;
+  return { checkIn: booking.checkIn, checkOut: checkOut > booking.checkIn ? checkOut : addDays(booking.checkIn, 1) };
+}
+
+/**
+ * What a booking's stay, and any meals recorded against it, cost under
+ * `tariff`: { lines, subtotal, taxes, total }.
+ */
+export function estimateCharge(booking, tariff = DEFAULT_TARIFF, meals = []) {
+  const lines = [...roomCharges({ ...booking, ...billedStay(booking) }, tariff), ...mealCharges(meals)];
+  return { lines, ...chargeTotals(lines, tariff) };
+}
+
+/**
+ * The Indian financial year (April to March) of a 'YYYY-MM-DD' date,
+ * e.g. '2026-27'.
+ */
+export function financialYear(date) {
+  const year = Number(date.slice(0, 4));
+  const start = date.slice(5, 7) >= '04' ? year : year - 1;
+  return `${start}-${String(start + 1).slice(2)}`;
+}
+
+/**
+ * Invoice numbers restart every financial year: GH/2026-27/0001.
+ */
+export function formatInvoiceNumber(year, sequence) {
+  return `GH/${year}/${String(sequence).padStart(4, '0')}`;
+}
+
+/**
+ * Validates and normalizes a tariff edited in Settings. Returns
+ * { errors, value } like validateBooking; errors is keyed by field path.
+ */
+export function validateTariff(input) {
+  const errors = {};
+  const amount = (path, raw) => {
+    const value = Number(raw);
+    if (raw === '' || raw === null || raw === undefined || !Number.isFinite(value) || value < 0) {
+      errors[path] = 'Enter an amount of 0 or more.';
+    }
+    return roundAmount(value);
+  };
+
+  const value = {
+    rates: Object.fromEntries(Object.keys(TARIFF_CATEGORIES).map(category => [
+      category,
+      Object.fromEntries(Object.keys(ROOM_TYPES).map(type => [
+        type,
+        amount(`rates.${category}.${type}`, input?.rates?.[category]?.[type]),
+      ])),
+    ])),
+    extraGuest: Object.fromEntries(Object.keys(TARIFF_CATEGORIES).map(category => [
+      category,
+      amount(`extraGuest.${category}`, input?.extraGuest?.[category]),
+    ])),
+    seasons: (input?.seasons || []).map((season, i) => {
+      const name = String(season?.name ?? '').trim();
+      const from = String(season?.from ?? '').trim();
+      const to = String(season?.to ?? '').trim();
+      const percent = Number(season?.percent);
+      if (!name) errors[`seasons.${i}.name`] = 'Name the season.';
+      if (!MONTH_DAY_PATTERN.test(from)) errors[`seasons.${i}.from`] = 'Use MM-DD, e.g. 12-20.';
+      if (!MONTH_DAY_PATTERN.test(to)) errors[`seasons.${i}.to`] = 'Use MM-DD, e.g. 01-05.';
+      if (!Number.isFinite(percent) || percent <= -100) errors[`seasons.${i}.percent`] = 'Enter a change above -100%.';
+      return { name, from, to, percent };
+    }),
+    taxes: (input?.taxes || []).map((tax, i) => {
+      const name = String(tax?.name ?? '').trim();
+      const percent = Number(tax?.percent);
+      if (!name) errors[`taxes.${i}.name`] = 'Name the tax.';
+      if (!Number.isFinite(percent) || percent < 0 || percent > MAX_TAX_PERCENT) {
+        errors[`taxes.${i}.percent`] = `Enter a rate between 0 and ${MAX_TAX_PERCENT}%.`;
+      }
+      return { name, percent };
+    }),
+  };
+
+  return { errors, value };
+}
+
+/**
+ * The purposes of visit charged at a tariff category, for labels.
+ */
+export function categoryPurposes(category) {
+  return Object.keys(PURPOSES).filter(purpose => tariffCategory(purpose) === category).map(purpose => PURPOSES[purpose]);
+}
+
+/**
+ * A stored tariff with any missing part filled from DEFAULT_TARIFF.
+ */
+export function withDefaults(tariff) {
+  return { ...DEFAULT_TARIFF, ...tariff };
+}
@@ -0,0 +1,50 @@
+// --- Guest Changes ---
+// Guests may change the dates, party size and purpose of a booking they
+// made, using the Application ID and their token. The booking keeps the
+// values an admin last saw in `modification.previous` until the next
+// decision, so the dashboard can show what changed.
+
+import { PURPOSES } from './bookingValidation.js';
+
+export const MODIFIABLE_FIELDS = ['checkIn', 'checkOut', 'guestCount', 'purpose'];
+
+const FIELD_LABELS = {
+  checkIn: 'Check-in',
+  checkOut: 'Check-out',
+  guestCount: 'Guests',
+  purpose: 'Purpose',
+};
+
+function displayValue(field, value) {
+  if (field === 'purpose') return PURPOSES[value] || value;
+  return value === undefined || value === null ? '—' : String(value);
+}
+
+/**
+ * The modifiable fields of a booking, e.g. to keep as `previous`.
+ */
+export function pickModifiable(booking) {
+  return Object.fromEntries(MODIFIABLE_FIELDS.map(field => [field, booking[field]]));
+}
+
+/**
+ * Fields that differ between two versions of a booking, as
+ * [{ field, label, from, to }] with display-ready values.
+ */
+export function diffBooking(previous, current) {
+  return MODIFIABLE_FIELDS
+    .filter(field => String(previous[field]) !== String(current[field]))
+    .map(field => ({
+      field,
+      label: FIELD_LABELS[field],
+      from: displayValue(field, previous[field]),
+      to: displayValue(field, current[field]),
+    }));
+}
+
+/**
+ * One line for the audit log, e.g. "Check-in 2025-03-01 → 2025-03-02".
+ */
+export function describeChanges(changes) {
+  return changes.map(change => `${change.label} ${change.from} → ${change.to}`).join('; ');
+}
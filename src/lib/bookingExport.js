@@ -0,0 +1,64 @@
+// --- Booking Export ---
+// Turns bookings into rows for the dashboard's CSV and Excel exports.
+// ID numbers are masked unless the admin asks for them in full.
+
+import { ID_PROOF_TYPES, PURPOSES } from './bookingValidation.js';
+
+export const BOOKING_EXPORT_COLUMNS = [
+  { key: 'applicationId', label: 'Application ID', selected: true },
+  { key: 'name', label: 'Name', selected: true },
+  { key: 'email', label: 'Email', selected: true },
+  { key: 'phone', label: 'Phone', selected: true },
+  { key: 'address', label: 'Address', selected: false },
+  { key: 'checkIn', label: 'Check-in', selected: true },
+  { key: 'checkOut', label: 'Check-out', selected: true },
+  { key: 'guestCount', label: 'Guests', selected: true },
+  { key: 'purpose', label: 'Purpose', selected: true, format: value => PURPOSES[value] || value },
+  { key: 'idProof', label: 'ID Proof', selected: true, format: value => ID_PROOF_TYPES[value]?.label || value },
+  { key: 'idNumber', label: 'ID Number', selected: false, sensitive: true },
+  { key: 'status', label: 'Status', selected: true },
+  { key: 'statusReason', label: 'Reason / Remarks', selected: false },
+  { key: 'roomIds', label: 'Rooms', selected: true, format: value => (value || []).join(' ') },
+  { key: 'submittedAt', label: 'Submitted', selected: true },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = BOOKING_EXPORT_COLUMNS.filter(column => column.selected).map(column => column.key);
+
+/**
+ * Hides all but the last four characters, e.g. "XXXXXXXX9012".
+ */
+export function maskIdNumber(value) {
+  const text = String(value ?? '').replace(/\s/g, '');
+  const visible = text.length > 6 ? 4 : 2;
+  return text.length <= visible ? text : 'X'.repeat(text.length - visible) + text.slice(-visible);
+}
+
+/**
+ * A header row followed by one row per booking, for the chosen column keys.
+ */
+export function bookingExportRows(bookings, { columns = DEFAULT_EXPORT_COLUMNS, maskIds = true } = {}) {
+  const chosen = BOOKING_EXPORT_COLUMNS.filter(column => columns.includes(column.key));
+  const cell = (column, booking) => {
+    const value = booking[column.key];
+    if (column.sensitive && maskIds) return maskIdNumber(value);
+    const formatted = column.format ? column.format(value, booking) : value;
+    return formatted === undefined ? null : formatted;
+  };
+  return [
+    chosen.map(column => column.label),
+    ...bookings.map(booking => chosen.map(column => cell(column, booking))),
+  ];
+}
+
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function bookingsToCsv(bookings, options) {
+  return bookingExportRows(bookings, options)
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n');
+}
@@ -0,0 +1,109 @@
+// --- Booking Lifecycle ---
+// The one definition of the states a booking can be in and the changes
+// allowed between them. The admin UI, /api and firestore.rules all check
+// transitions against this table, so keep the rules' copy in step.
+//
+// Each transition lists who may make it and its side effects: the
+// template emailed to the guest, whether a reason is required, whether
+// rooms are picked for the booking (assignsRooms) and whether its rooms
+// are taken off it (releasesRooms). Every path that changes a status
+// applies these. Checking out keeps the rooms on the booking as the
+// record of the stay; they are free again because Checked Out is not
+// one of the ROOM_HOLDING_STATES.
+
+import { ACTOR_TYPES } from './audit.js';
+
+export const BOOKING_STATES = {
+  PENDING: 'Pending',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+  CANCELLED: 'Cancelled',
+  CHECKED_IN: 'Checked In',
+  CHECKED_OUT: 'Checked Out',
+  NO_SHOW: 'No-show',
+};
+
+const { PENDING, APPROVED, REJECTED, CANCELLED, CHECKED_IN, CHECKED_OUT, NO_SHOW } = BOOKING_STATES;
+const { ADMIN, GUEST, SYSTEM } = ACTOR_TYPES;
+
+export const BOOKING_STATUSES = Object.values(BOOKING_STATES);
+
+// Bookings in these states hold their rooms
+export const ROOM_HOLDING_STATES = [APPROVED, CHECKED_IN];
+
+// A booking only reaches these states by being approved, so decisions
+// count them all as approvals even once the stay has moved on
+export const APPROVED_STATES = [APPROVED, CHECKED_IN, CHECKED_OUT, NO_SHOW];
+
+// From here on a booking can no longer change
+export const FINAL_STATES = [REJECTED, CANCELLED, CHECKED_OUT, NO_SHOW];
+
+const TRANSITIONS = {
+  [PENDING]: {
+    [APPROVED]: { action: 'Approve', actors: [ADMIN], template: 'booking_approved', assignsRooms: true },
+    [REJECTED]: { action: 'Reject', actors: [ADMIN], template: 'booking_rejected', requiresReason: true },
+    [CANCELLED]: { action: 'Cancel', actors: [ADMIN, GUEST], template: 'booking_cancelled', requiresReason: true },
+  },
+  [APPROVED]: {
+    [REJECTED]: { action: 'Reject', actors: [ADMIN], template: 'booking_rejected', requiresReason: true, releasesRooms: true },
+    [CANCELLED]: { action: 'Cancel', actors: [ADMIN, GUEST], template: 'booking_cancelled', requiresReason: true, releasesRooms: true },
+    [CHECKED_IN]: { action: 'Check in', actors: [ADMIN], atReception: true },
+    [NO_SHOW]: { action: 'Mark as no-show', actors: [SYSTEM], releasesRooms: true },
+    // A guest's change to an approved stay needs approving again
+    [PENDING]: { action: 'Modify', actors: [GUEST], template: 'booking_modified', releasesRooms: true },
+  },
+  [CHECKED_IN]: {
+    [CHECKED_OUT]: { action: 'Check out', actors: [ADMIN], atReception: true },
+  },
+};
+
+/**
+ * The transition from one state to another, or null when it is not
+ * allowed. With `actorType`, also null when that actor may not make it.
+ */
+export function getTransition(from, to, actorType) {
+  const transition = TRANSITIONS[from]?.[to];
+  if (!transition || (actorType && !transition.actors.includes(actorType))) return null;
+  return transition;
+}
+
+export function canTransition(from, to, actorType) {
+  return getTransition(from, to, actorType) !== null;
+}
+
+/**
+ * States an actor can move a booking to from `from`, in table order.
+ * Admin status controls pass `{ atReception: false }` to leave out
+ * check-in and check-out, which need the reception's details.
+ */
+export function nextStates(from, actorType, { atReception } = {}) {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, transition]) => !actorType || transition.actors.includes(actorType))
+    .filter(([, transition]) => atReception === undefined || Boolean(transition.atReception) === atReception)
+    .map(([to]) => to);
+}
+
+/**
+ * The verb for moving a booking to `to`, e.g. 'Approve' for Approved.
+ */
+export function actionLabel(to) {
+  const transition = Object.values(TRANSITIONS).find(transitions => transitions[to])?.[to];
+  return transition ? transition.action : to;
+}
+
+/**
+ * Guests may change a booking that is still Pending, or an Approved one,
+ * which then goes back to Pending.
+ */
+export function canModify(status) {
+  return status === PENDING || canTransition(status, PENDING, GUEST);
+}
+
+/**
+ * Why a change is refused, worded for the admin or guest who tried it.
+ */
+export function transitionError(from, to) {
+  return FINAL_STATES.includes(from)
+    ? `This booking is already ${from} and can no longer be changed`
+    : `A booking that is ${from} cannot be moved to ${to}`;
+}
@@ -0,0 +1,25 @@
+// --- Booking Metrics ---
+// Numbers derived from a booking and stored on it, so /api/analytics can
+// average them with Firestore aggregation queries instead of reading
+// every booking.
+
+import { daysBetween } from './calendar.js';
+
+/**
+ * Length of stay and how many days ahead of check-in it was booked.
+ */
+export function stayMetrics({ checkIn, checkOut, submittedAt }) {
+  return {
+    nights: daysBetween(checkIn, checkOut),
+    leadDays: submittedAt ? daysBetween(submittedAt.slice(0, 10), checkIn) : null,
+  };
+}
+
+/**
+ * Hours from submission to the first approve/reject decision, to one
+ * decimal place.
+ */
+export function decisionHours(submittedAt, decidedAt = new Date()) {
+  const hours = (decidedAt - new Date(submittedAt)) / 3600000;
+  return Math.max(0, Math.round(hours * 10) / 10);
+}
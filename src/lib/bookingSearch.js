@@ -0,0 +1,49 @@
+// --- Booking Search ---
+// Firestore has no full-text search, so each booking stores the prefixes
+// of its name words, its full name, email, phone and Application ID in
+// `searchKeywords`. The dashboard then finds a booking with one
+// array-contains query; the full name is what lets "john s" match.
+// After changing the keywords, re-run `npm run backfill:search`.
+
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 30;
+
+function prefixes(token) {
+  const result = [];
+  for (let length = MIN_PREFIX; length <= Math.min(token.length, MAX_PREFIX); length++) {
+    result.push(token.slice(0, length));
+  }
+  return result;
+}
+
+/**
+ * Normalises what an admin typed into the form stored in searchKeywords.
+ * Phone numbers are matched on their digits only.
+ */
+export function normalizeSearchTerm(term = '') {
+  const trimmed = term.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (/^[\d\s+()-]+$/.test(trimmed)) {
+    return trimmed.replace(/\D/g, '');
+  }
+  return trimmed.slice(0, MAX_PREFIX);
+}
+
+/**
+ * The keywords to store on a booking.
+ */
+export function buildSearchKeywords({ name = '', email = '', phone = '', applicationId = '' }) {
+  const lowerEmail = email.trim().toLowerCase();
+  const digits = phone.replace(/\D/g, '');
+  const words = name.trim().toLowerCase().split(/\s+/);
+  const tokens = [
+    ...words,
+    words.join(' '),
+    lowerEmail,
+    lowerEmail.split('@')[0],
+    digits,
+    // Lets 98765... match a number stored with its country code
+    digits.slice(-10),
+    applicationId.toLowerCase(),
+  ];
+  return [...new Set(tokens.filter(Boolean).flatMap(prefixes))];
+}
@@ -0,0 +1,93 @@
+// --- Booking Validation ---
+// Shared by BookingForm (for instant feedback) and /api/bookings (which
+// is the one that actually decides). Keep both sides on these rules.
+
+export const ID_PROOF_TYPES = {
+  aadhar: { label: 'Aadhar Card', pattern: /^\d{4}\s?\d{4}\s?\d{4}$/, example: '1234 5678 9012' },
+  passport: { label: 'Passport', pattern: /^[A-Z][0-9]{7}$/, example: 'A1234567' },
+  driving_license: { label: 'Driving License', pattern: /^[A-Z]{2}[-\s]?\d{2}[-\s]?\d{11}$/, example: 'HP-01 20110012345' },
+  voter_id: { label: 'Voter ID', pattern: /^[A-Z]{3}\d{7}$/, example: 'ABC1234567' },
+};
+
+export const PURPOSES = {
+  official: 'Official',
+  personal: 'Personal',
+  event: 'Event/Conference',
+  other: 'Other',
+};
+
+export const MIN_GUESTS = 1;
+export const MAX_GUESTS = 10;
+export const MAX_NIGHTS = 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9\s-]{6,14}$/;
+
+/**
+ * Whether `value` is a real 'YYYY-MM-DD' calendar date. Date would roll
+ * '2026-02-30' over into March, so the parsed date must read back the same.
+ */
+export function isValidDate(value) {
+  if (!DATE_PATTERN.test(value || '')) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validates and normalizes a booking application.
+ * `today` is the current date as 'YYYY-MM-DD' in the guest house timezone.
+ * Returns { errors, value }: errors maps field names to messages and is
+ * empty when the application is valid.
+ */
+export function validateBooking(input, { today }) {
+  const errors = {};
+  const text = (field) => String(input?.[field] ?? '').trim();
+
+  const value = {
+    name: text('name'),
+    email: text('email').toLowerCase(),
+    phone: text('phone'),
+    address: text('address'),
+    idProof: text('idProof'),
+    idNumber: text('idNumber').toUpperCase(),
+    checkIn: text('checkIn'),
+    checkOut: text('checkOut'),
+    guestCount: Number(input?.guestCount),
+    purpose: text('purpose'),
+    smsOptIn: input?.smsOptIn === true || input?.smsOptIn === 'true',
+  };
+
+  if (!value.name) errors.name = 'Full name is required.';
+  if (!EMAIL_PATTERN.test(value.email)) errors.email = 'Enter a valid email address.';
+  if (!PHONE_PATTERN.test(value.phone)) errors.phone = 'Enter a valid phone number.';
+  if (!value.address) errors.address = 'Address is required.';
+
+  const idProof = ID_PROOF_TYPES[value.idProof];
+  if (!idProof) {
+    errors.idProof = 'Select a valid ID proof type.';
+  } else if (!idProof.pattern.test(value.idNumber)) {
+    errors.idNumber = `Enter a valid ${idProof.label} number, e.g. ${idProof.example}.`;
+  }
+
+  if (!isValidDate(value.checkIn)) {
+    errors.checkIn = 'Enter a valid check-in date.';
+  } else if (value.checkIn < today) {
+    errors.checkIn = 'Check-in date cannot be in the past.';
+  }
+  if (!isValidDate(value.checkOut)) {
+    errors.checkOut = 'Enter a valid check-out date.';
+  } else if (!errors.checkIn && value.checkOut <= value.checkIn) {
+    errors.checkOut = 'Check-out date must be after check-in date.';
+  } else if (!errors.checkIn &&
+    (new Date(value.checkOut) - new Date(value.checkIn)) / 86400000 > MAX_NIGHTS) {
+    errors.checkOut = `Stays are limited to ${MAX_NIGHTS} nights.`;
+  }
+
+  if (!Number.isInteger(value.guestCount) || value.guestCount < MIN_GUESTS || value.guestCount > MAX_GUESTS) {
+    errors.guestCount = `Number of guests must be between ${MIN_GUESTS} and ${MAX_GUESTS}.`;
+  }
+  if (!PURPOSES[value.purpose]) errors.purpose = 'Select a valid purpose of visit.';
+
+  return { errors, value };
+}
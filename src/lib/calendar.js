@@ -0,0 +1,73 @@
+// --- Calendar Layout ---
+// Date maths for the admin occupancy calendar and the guests' availability
+// calendar. Weeks start on Monday and a booking covers its nights, checkIn
+// inclusive to checkOut exclusive.
+
+import { addDays } from './availability.js';
+
+const DAY_MS = 86400000;
+
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+export function startOfWeek(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 is Sunday
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+/**
+ * First day of the month `months` away from the month of `date`.
+ */
+export function shiftMonth(date, months) {
+  const d = new Date(`${date.slice(0, 7)}-01T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Days shown by a 'month' or 'week' view around `date`, as { from, to }
+ * with `to` exclusive. Month views are padded to whole weeks.
+ */
+export function calendarRange(view, date) {
+  if (view === 'week') {
+    const from = startOfWeek(date);
+    return { from, to: addDays(from, 7) };
+  }
+  const from = startOfWeek(shiftMonth(date, 0));
+  const lastDay = addDays(shiftMonth(date, 1), -1);
+  return { from, to: addDays(startOfWeek(lastDay), 7) };
+}
+
+/**
+ * Lays out the bookings overlapping one week as bars. Each segment has the
+ * day column it starts in, how many days it spans and the lane (row) it
+ * goes in, so that overlapping stays never share a lane.
+ */
+export function layoutWeek(bookings, weekStart) {
+  const weekEnd = addDays(weekStart, 7);
+  const segments = bookings
+    .filter(booking => booking.checkIn < weekEnd && booking.checkOut > weekStart)
+    .sort((a, b) => a.checkIn.localeCompare(b.checkIn) || b.checkOut.localeCompare(a.checkOut))
+    .map(booking => {
+      const startDate = booking.checkIn > weekStart ? booking.checkIn : weekStart;
+      const endDate = booking.checkOut < weekEnd ? booking.checkOut : weekEnd;
+      return {
+        booking,
+        startDate,
+        column: daysBetween(weekStart, startDate),
+        span: daysBetween(startDate, endDate),
+        continuesBefore: booking.checkIn < weekStart,
+        continuesAfter: booking.checkOut > weekEnd,
+      };
+    });
+
+  const laneEnds = [];
+  for (const segment of segments) {
+    let lane = laneEnds.findIndex(end => end <= segment.column);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = segment.column + segment.span;
+    segment.lane = lane;
+  }
+  return { segments, laneCount: laneEnds.length };
+}
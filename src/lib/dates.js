@@ -0,0 +1,15 @@
+// The guest house runs on Indian Standard Time regardless of server region
+const GUESTHOUSE_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Today's date in the guest house timezone as 'YYYY-MM-DD',
+ * the same format the booking form stores checkIn/checkOut in.
+ */
+export function todayInGuesthouseTz(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: GUESTHOUSE_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(now);
+}
@@ -0,0 +1,47 @@
+// --- Decision Reasons ---
+// Preset reasons an admin can pick when approving, rejecting or
+// cancelling a booking.
+// The preset and any free text are combined into the booking's
+// `statusReason`, which the guest sees in the email and on the status page.
+
+import { ACTOR_TYPES } from './audit.js';
+import { BOOKING_STATUSES, getTransition } from './bookingLifecycle.js';
+
+export const MAX_REASON_LENGTH = 500;
+
+export const DECISION_REASONS = {
+  Approved: [
+    'Please carry your original ID proof at check-in',
+    'Check-in is from 12:00 noon and check-out by 11:00 am',
+    'Please report to the reception on arrival',
+  ],
+  Rejected: [
+    'No rooms are available for the requested dates',
+    'The purpose of visit is not eligible for the guest house',
+    'The ID proof details could not be verified',
+    'The application details are incomplete or incorrect',
+  ],
+  Cancelled: [
+    'The guest house is closed for maintenance on these dates',
+    'The rooms are required for a university event',
+    "Cancelled at the guest's request",
+  ],
+};
+
+/**
+ * Whether an admin must say why when moving a booking to `status`
+ * (rejections and cancellations); approval remarks are optional.
+ */
+export function reasonRequired(status) {
+  return BOOKING_STATUSES.some(from => getTransition(from, status, ACTOR_TYPES.ADMIN)?.requiresReason);
+}
+
+/**
+ * Joins the picked preset and the free text into one sentence-style string.
+ */
+export function composeReason(preset, note = '') {
+  return [preset, note.trim()]
+    .filter(Boolean)
+    .join('. ')
+    .slice(0, MAX_REASON_LENGTH);
+}
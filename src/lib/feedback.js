@@ -0,0 +1,101 @@
+// --- Guest Feedback ---
+// Ratings and comments guests leave after check-out, through the one-time
+// link emailed by /api/feedbackRequests. Admins read them in the Feedback
+// inbox and may publish a comment as a testimonial when the guest agreed.
+
+export const FEEDBACK_ASPECTS = {
+  room: 'Room',
+  cleanliness: 'Cleanliness',
+  food: 'Food',
+  staff: 'Staff',
+};
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+export const MAX_COMMENT_LENGTH = 1000;
+
+// How long after check-out the feedback link is sent, and for how long
+// a guest may still use it
+export const FEEDBACK_REQUEST_WINDOW_DAYS = 7;
+export const FEEDBACK_LINK_VALID_DAYS = 30;
+
+/**
+ * Validates and normalizes a guest's feedback. Returns { errors, value }
+ * like validateBooking; every aspect needs a whole-star rating.
+ */
+export function validateFeedback(input) {
+  const errors = {};
+  const ratings = {};
+  Object.entries(FEEDBACK_ASPECTS).forEach(([aspect, label]) => {
+    ratings[aspect] = Number(input?.ratings?.[aspect]);
+    if (!Number.isInteger(ratings[aspect]) || ratings[aspect] < MIN_RATING || ratings[aspect] > MAX_RATING) {
+      errors[aspect] = `Rate the ${label.toLowerCase()} from ${MIN_RATING} to ${MAX_RATING} stars.`;
+    }
+  });
+
+  const value = {
+    ratings,
+    comments: String(input?.comments ?? '').trim(),
+    allowPublishing: input?.allowPublishing === true,
+  };
+  if (value.comments.length > MAX_COMMENT_LENGTH) {
+    errors.comments = `Comments cannot exceed ${MAX_COMMENT_LENGTH} characters.`;
+  }
+
+  return { errors, value };
+}
+
+/**
+ * Mean of one entry's ratings, to one decimal.
+ */
+export function overallRating(ratings) {
+  const values = Object.keys(FEEDBACK_ASPECTS).map(aspect => ratings[aspect]);
+  return Math.round((values.reduce((sum, rating) => sum + rating, 0) / values.length) * 10) / 10;
+}
+
+function average(values) {
+  return values.length ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : null;
+}
+
+/**
+ * Average rating per aspect and overall across `entries`; null when
+ * there are none.
+ */
+export function feedbackAverages(entries) {
+  return {
+    count: entries.length,
+    overall: average(entries.map(entry => overallRating(entry.ratings))),
+    aspects: Object.fromEntries(Object.keys(FEEDBACK_ASPECTS).map(aspect => [
+      aspect,
+      average(entries.map(entry => entry.ratings[aspect])),
+    ])),
+  };
+}
+
+/**
+ * Overall average per check-out month ('YYYY-MM'), oldest first.
+ */
+export function monthlyAverages(entries) {
+  const months = new Map();
+  entries.forEach(entry => {
+    const month = entry.checkOut.slice(0, 7);
+    months.set(month, [...(months.get(month) || []), overallRating(entry.ratings)]);
+  });
+  return [...months.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, ratings]) => ({ month, count: ratings.length, average: average(ratings) }));
+}
+
+/**
+ * The public copy of a published entry: the guest's first name, their
+ * comment and overall rating, and when they stayed. Nothing else about
+ * the guest leaves the inbox.
+ */
+export function toTestimonial(entry) {
+  return {
+    name: entry.name.trim().split(/\s+/)[0],
+    quote: entry.comments,
+    rating: overallRating(entry.ratings),
+    stayMonth: entry.checkOut.slice(0, 7),
+  };
+}
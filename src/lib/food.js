@@ -0,0 +1,61 @@
+// --- Mess Menu ---
+// The food catalogue shown on the public Food page, and the meals the
+// reception records against checked-in guests. Meals keep the name and
+// rate they were served at, so later catalogue edits don't change bills.
+
+export const FOOD_CATEGORIES = {
+  breakfast: 'Breakfast',
+  meals: 'Meals & Thalis',
+  snacks: 'Snacks',
+  beverages: 'Beverages',
+  desserts: 'Desserts',
+};
+
+export const MEAL_SLOTS = {
+  breakfast: 'Breakfast',
+  lunch: 'Lunch',
+  snacks: 'Evening snacks',
+  dinner: 'Dinner',
+};
+
+export const MAX_FOOD_NAME_LENGTH = 80;
+export const MAX_MEAL_QUANTITY = 50;
+
+/**
+ * Validates and normalizes a catalogue item. Returns { errors, value }
+ * like validateBooking.
+ */
+export function validateFoodItem(input) {
+  const errors = {};
+  const value = {
+    name: String(input?.name ?? '').trim(),
+    category: String(input?.category ?? '').trim(),
+    rate: Number(input?.rate),
+    isVeg: input?.isVeg !== false,
+    slots: Object.keys(MEAL_SLOTS).filter(slot => input?.slots?.includes(slot)),
+    available: input?.available !== false,
+  };
+
+  if (!value.name) errors.name = 'Name the item.';
+  else if (value.name.length > MAX_FOOD_NAME_LENGTH) errors.name = `Keep the name under ${MAX_FOOD_NAME_LENGTH} characters.`;
+  if (!FOOD_CATEGORIES[value.category]) errors.category = 'Select a category.';
+  if (input?.rate === '' || !Number.isFinite(value.rate) || value.rate < 0) errors.rate = 'Enter a rate of 0 or more.';
+  if (value.slots.length === 0) errors.slots = 'Pick at least one meal when it is served.';
+
+  return { errors, value };
+}
+
+/**
+ * Bill lines for the meals recorded against a booking, one per item and
+ * rate, in the same shape as roomCharges() in billing.js.
+ */
+export function mealCharges(meals) {
+  const lines = new Map();
+  meals.forEach(meal => {
+    const key = `${meal.name}|${meal.rate}`;
+    const line = lines.get(key) || { description: `Mess: ${meal.name}`, quantity: 0, unitPrice: meal.rate };
+    line.quantity += meal.quantity;
+    lines.set(key, line);
+  });
+  return [...lines.values()].map(line => ({ ...line, amount: Math.round(line.quantity * line.unitPrice * 100) / 100 }));
+}
@@ -0,0 +1,44 @@
+// --- Notification Outbox ---
+// Every guest-facing message is first written to the notifications
+// collection, in the same batch as the change that caused it, and then
+// delivered (and retried) by /api/notifications. Each record is one
+// message on one channel: email always, SMS when the guest opted in.
+
+export const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+export const NOTIFICATION_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+/**
+ * Builds a new outbox record for a booking. Admins can read these, so
+ * secrets such as the cancellation token never go in `params`; the server
+ * queues them beside the record with queueNotifications().
+ */
+export function createNotification({ bookingId, booking, channel = 'email', template, params }) {
+  return {
+    bookingId,
+    applicationId: booking.applicationId,
+    channel,
+    to: channel === 'sms' ? booking.phone : booking.email,
+    template,
+    params,
+    status: NOTIFICATION_STATUS.QUEUED,
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: Date.now(),
+    createdAt: new Date().toISOString(),
+    sentAt: null,
+  };
+}
+
+/**
+ * Builds the outbox records for every channel the guest receives.
+ */
+export function createNotifications({ booking, ...rest }) {
+  const channels = booking.smsOptIn && booking.phone ? NOTIFICATION_CHANNELS : ['email'];
+  return channels.map(channel => createNotification({ booking, channel, ...rest }));
+}
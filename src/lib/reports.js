@@ -0,0 +1,101 @@
+// --- Reports ---
+// Figures for the printable admin reports. Each function takes bookings
+// already loaded for the period and only does the arithmetic.
+
+import { PURPOSES } from './bookingValidation.js';
+import { addDays, eachNight, getNightlyAvailability, STAYED_STATUSES } from './availability.js';
+import { shiftMonth } from './calendar.js';
+import { BOOKING_STATES, ROOM_HOLDING_STATES } from './bookingLifecycle.js';
+
+/**
+ * Nights of a month 'YYYY-MM' as { from, to } with `to` exclusive.
+ */
+export function monthRange(month) {
+  const from = `${month}-01`;
+  return { from, to: shiftMonth(from, 1) };
+}
+
+/**
+ * Guests arriving and leaving on one day, among bookings holding rooms
+ * or already checked out.
+ */
+export function arrivalsAndDepartures(bookings, date) {
+  const occupying = bookings.filter(booking => STAYED_STATUSES.includes(booking.status));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return {
+    arrivals: occupying.filter(booking => booking.checkIn === date).sort(byName),
+    departures: occupying.filter(booking => booking.checkOut === date).sort(byName),
+  };
+}
+
+/**
+ * Rooms booked each night of a month and the totals for the month.
+ * Occupancy is booked room-nights over available room-nights.
+ */
+export function monthlyOccupancy(bookings, month) {
+  const { from, to } = monthRange(month);
+  const nights = getNightlyAvailability({ bookings, from, to, statuses: STAYED_STATUSES });
+  // An overbooked night counts as full, as in /api/analytics
+  const roomNights = nights.reduce((sum, night) => sum + Math.min(night.bookedRooms, night.totalRooms), 0);
+  const capacity = nights.reduce((sum, night) => sum + night.totalRooms, 0);
+
+  const stays = bookings.filter(booking =>
+    STAYED_STATUSES.includes(booking.status) && booking.checkIn < to && booking.checkOut > from
+  );
+  const guestNights = stays.reduce((sum, booking) => {
+    const nightsInMonth = eachNight(booking.checkIn > from ? booking.checkIn : from, booking.checkOut < to ? booking.checkOut : to).length;
+    return sum + nightsInMonth * (Number(booking.guestCount) || 1);
+  }, 0);
+
+  return {
+    nights,
+    roomNights,
+    capacity,
+    occupancyRate: capacity ? roomNights / capacity : 0,
+    arrivals: stays.filter(booking => booking.checkIn >= from).length,
+    guestNights,
+  };
+}
+
+/**
+ * Bookings per purpose of visit, split by status, with the guests they
+ * bring. Purposes with no bookings are still listed.
+ */
+export function purposeBreakdown(bookings) {
+  const rows = Object.entries(PURPOSES).map(([purpose, label]) => ({
+    purpose, label, total: 0, guests: 0, byStatus: {},
+  }));
+  for (const booking of bookings) {
+    let row = rows.find(r => r.purpose === booking.purpose);
+    if (!row) {
+      row = { purpose: booking.purpose, label: booking.purpose || 'Unknown', total: 0, guests: 0, byStatus: {} };
+      rows.push(row);
+    }
+    row.total += 1;
+    row.guests += Number(booking.guestCount) || 1;
+    row.byStatus[booking.status] = (row.byStatus[booking.status] || 0) + 1;
+  }
+  return rows;
+}
+
+/**
+ * The reception's lists for `today`: guests due to arrive, guests due to
+ * leave (including overdue departures), guests staying on, and approved
+ * guests who missed yesterday's check-in. `bookings` are those checking in
+ * yesterday or today plus everyone currently checked in.
+ */
+export function receptionLists(bookings, today) {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const yesterday = addDays(today, -1);
+  const checkedIn = bookings.filter(booking => booking.status === BOOKING_STATES.CHECKED_IN);
+  return {
+    arrivals: bookings
+      .filter(booking => booking.checkIn === today && [BOOKING_STATES.PENDING, ...ROOM_HOLDING_STATES].includes(booking.status))
+      .sort(byName),
+    departures: checkedIn.filter(booking => booking.checkOut <= today).sort(byName),
+    staying: checkedIn.filter(booking => booking.checkOut > today).sort(byName),
+    missed: bookings
+      .filter(booking => booking.checkIn === yesterday && [BOOKING_STATES.APPROVED, BOOKING_STATES.NO_SHOW].includes(booking.status))
+      .sort(byName),
+  };
+}
@@ -0,0 +1,39 @@
+// --- Admin Roles ---
+// Each admin has a profile doc at artifacts/{appId}/admins/{uid} with a
+// role. Roles are ordered: every role can do what the ones below it can.
+// firestore.rules repeats these checks, so keep the two in step.
+
+export const ROLES = {
+  VIEWER: 'viewer',
+  APPROVER: 'approver',
+  SUPER_ADMIN: 'super_admin',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.VIEWER]: 'Viewer',
+  [ROLES.APPROVER]: 'Approver',
+  [ROLES.SUPER_ADMIN]: 'Super Admin',
+};
+
+const ROLE_RANK = {
+  [ROLES.VIEWER]: 1,
+  [ROLES.APPROVER]: 2,
+  [ROLES.SUPER_ADMIN]: 3,
+};
+
+/**
+ * True when `role` is at least `required`.
+ */
+export function hasRole(role, required) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+}
+
+// Approve/reject bookings, assign rooms, resend notifications
+export function canManageBookings(role) {
+  return hasRole(role, ROLES.APPROVER);
+}
+
+// Add admins, change their roles, disable them
+export function canManageAdmins(role) {
+  return hasRole(role, ROLES.SUPER_ADMIN);
+}
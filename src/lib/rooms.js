@@ -0,0 +1,21 @@
+// --- Room Inventory ---
+// Shared by the client and the serverless functions in /api.
+// Edit this list when rooms are added, removed or refurbished.
+
+export const ROOM_TYPES = {
+  single: { label: 'Single Room', capacity: 1 },
+  double: { label: 'Double Room', capacity: 2 },
+};
+
+export const ROOMS = [
+  { id: '101', type: 'single', capacity: ROOM_TYPES.single.capacity },
+  { id: '102', type: 'single', capacity: ROOM_TYPES.single.capacity },
+  { id: '103', type: 'single', capacity: ROOM_TYPES.single.capacity },
+  { id: '104', type: 'single', capacity: ROOM_TYPES.single.capacity },
+  { id: '201', type: 'double', capacity: ROOM_TYPES.double.capacity },
+  { id: '202', type: 'double', capacity: ROOM_TYPES.double.capacity },
+  { id: '203', type: 'double', capacity: ROOM_TYPES.double.capacity },
+  { id: '204', type: 'double', capacity: ROOM_TYPES.double.capacity },
+  { id: '205', type: 'double', capacity: ROOM_TYPES.double.capacity },
+  { id: '206', type: 'double', capacity: ROOM_TYPES.double.capacity },
+];